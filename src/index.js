@@ -5,21 +5,69 @@ require("dotenv").config();
 
 const authRoutes = require("./routes/auth.routes");
 const eventRoutes = require("./routes/event.routes");
+const importRoutes = require("./routes/import.routes");
 const bookingRoutes = require("./routes/booking.routes");
 const userRoutes = require("./routes/user.routes");
+const paymentRoutes = require("./routes/payment.routes");
+const promoRoutes = require("./routes/promo.routes");
+const checkInRoutes = require("./routes/check-in.routes");
+const waitlistRoutes = require("./routes/waitlist.routes");
+const analyticsRoutes = require("./routes/analytics.routes");
+const calendarRoutes = require("./routes/calendar.routes");
+const venueRoutes = require("./routes/venue.routes");
+const { startHoldSweeper } = require("./services/hold.service");
+const { startDeletionSweeper } = require("./services/account.service");
+const {
+  getProvider,
+  startRefundSweeper,
+} = require("./services/payment.service");
+const { getTransport } = require("./services/mailer.service");
+const {
+  startEventStatusSweeper,
+  resumeInterruptedCancellations,
+} = require("./services/event-lifecycle.service");
+const {
+  resumeInterruptedImports,
+} = require("./services/event-import.service");
+
+// fail on boot, not on the first email or payment, when mail or payments
+// aren't configured
+getTransport();
+getProvider();
 
 const app = express();
 
+// behind a load balancer req.ip must come from X-Forwarded-For for rate limits
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set("trust proxy", isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(
+  express.json({
+    // keep the raw body around for webhook signature checks
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true }));
 
 // Routes
 app.use("/api/auth", authRoutes);
+app.use("/api/events/import", importRoutes);
 app.use("/api/events", eventRoutes);
 app.use("/api/bookings", bookingRoutes);
 app.use("/api/users", userRoutes);
+app.use("/api/payments", paymentRoutes);
+app.use("/api/promo-codes", promoRoutes);
+app.use("/api/check-in", checkInRoutes);
+app.use("/api/waitlist", waitlistRoutes);
+app.use("/api/analytics", analyticsRoutes);
+app.use("/api/calendar", calendarRoutes);
+app.use("/api/venues", venueRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -30,7 +78,19 @@ app.use((err, req, res, next) => {
 // Database connection
 mongoose
   .connect(process.env.MONGODB_URI)
-  .then(() => console.log("Connected to MongoDB"))
+  .then(() => {
+    console.log("Connected to MongoDB");
+    startHoldSweeper();
+    startDeletionSweeper();
+    startRefundSweeper();
+    startEventStatusSweeper();
+    resumeInterruptedImports().catch((err) =>
+      console.error("Import resume error:", err)
+    );
+    resumeInterruptedCancellations().catch((err) =>
+      console.error("Cancellation resume error:", err)
+    );
+  })
   .catch((err) => console.error("MongoDB connection error:", err));
 
 const PORT = process.env.PORT || 3000;
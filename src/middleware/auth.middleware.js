@@ -1,5 +1,6 @@
 const jwt = require("jsonwebtoken");
 const User = require("../models/user.model");
+const { isSessionActive } = require("../services/session.service");
 
 const auth = async (req, res, next, NoAuth = false) => {
   try {
@@ -10,14 +11,26 @@ const auth = async (req, res, next, NoAuth = false) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // logged out, rotated-out or revoked sessions can't be used anymore
+    if (!decoded.sid || !(await isSessionActive(decoded.sid))) {
+      throw new Error();
+    }
+
     const user = await User.findOne({ _id: decoded.userId });
 
     if (!user) {
       throw new Error();
     }
 
+    if (user.isSuspended()) {
+      if (NoAuth) return next();
+      return res.status(403).json({ message: "Account suspended." });
+    }
+
     req.user = user;
     req.token = token;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     if (!NoAuth) res.status(401).json({ message: "Please authenticate." });
@@ -36,4 +49,17 @@ const isAdmin = async (req, res, next) => {
   }
 };
 
-module.exports = { auth, isAdmin };
+// set REQUIRE_EMAIL_VERIFICATION=true to keep unverified accounts from booking
+const requireVerifiedEmail = (req, res, next) => {
+  if (
+    process.env.REQUIRE_EMAIL_VERIFICATION === "true" &&
+    !req.user.emailVerified
+  ) {
+    return res
+      .status(403)
+      .json({ message: "Please verify your email address first." });
+  }
+  next();
+};
+
+module.exports = { auth, isAdmin, requireVerifiedEmail };
@@ -0,0 +1,34 @@
+const Event = require("../models/event.model");
+const { hasPermission } = require("../services/permission.service");
+
+const eventFromParams = (req) => req.params.id;
+
+// requirePermission("event:update", { eventFrom: (req) => req.params.id })
+// checks the permission against that event and leaves it on req.event
+const requirePermission = (permission, { eventFrom } = {}) =>
+  async (req, res, next) => {
+    try {
+      let event = null;
+      if (eventFrom) {
+        const eventId = parseInt(eventFrom(req));
+        if (!isNaN(eventId)) {
+          // deleted events only come back through a restore
+          event = await Event.findOne({ id: eventId, deletedAt: null });
+          if (!event) {
+            return res.status(404).json({ message: "Event not found" });
+          }
+        }
+      }
+
+      if (!(await hasPermission(req.user, permission, event))) {
+        return res.status(403).json({ message: "Access denied." });
+      }
+
+      req.event = event;
+      next();
+    } catch (error) {
+      res.status(500).json({ message: "Server error" });
+    }
+  };
+
+module.exports = { requirePermission, eventFromParams };
@@ -0,0 +1,21 @@
+const mongoose = require("mongoose");
+require("dotenv").config();
+
+const { runMigrations } = require("./migrations");
+
+mongoose
+  .connect(process.env.MONGODB_URI)
+  .then(runMigrations)
+  .then((ran) => {
+    if (!ran.length) {
+      console.log("No pending migrations");
+    }
+    ran.forEach(({ name, result }) =>
+      console.log(`Applied ${name}:`, JSON.stringify(result))
+    );
+  })
+  .catch((err) => {
+    console.error("Migration error:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
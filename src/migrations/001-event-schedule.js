@@ -0,0 +1,31 @@
+const Event = require("../models/event.model");
+const { resolveSchedule } = require("../services/schedule.service");
+
+// date + "HH:mm" pairs were wall-clock times in EVENT_TIMEZONE with no end,
+// so they become startsAt/endsAt instants with the default duration
+const up = async () => {
+  const cursor = Event.collection.find({ startsAt: { $exists: false } });
+  let migrated = 0;
+  const skipped = [];
+
+  for await (const doc of cursor) {
+    try {
+      const { startsAt, endsAt, timezone } = resolveSchedule({
+        date: doc.date,
+        time: doc.time,
+        timezone: doc.timezone,
+      });
+      await Event.collection.updateOne(
+        { _id: doc._id },
+        { $set: { startsAt, endsAt, timezone } }
+      );
+      migrated += 1;
+    } catch (error) {
+      skipped.push({ id: doc.id, error: error.message });
+    }
+  }
+
+  return { migrated, skipped };
+};
+
+module.exports = { name: "001-event-schedule", up };
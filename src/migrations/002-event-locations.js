@@ -0,0 +1,22 @@
+const Event = require("../models/event.model");
+const Venue = require("../models/venue.model");
+
+// events linked to a venue before events had coordinates take the venue's
+const up = async () => {
+  const venues = await Venue.find({ "location.coordinates": { $exists: true } })
+    .select("id location")
+    .lean();
+
+  let updated = 0;
+  for (const venue of venues) {
+    const result = await Event.collection.updateMany(
+      { venueId: venue.id, location: { $exists: false } },
+      { $set: { location: venue.location } }
+    );
+    updated += result.modifiedCount;
+  }
+
+  return { updated };
+};
+
+module.exports = { name: "002-event-locations", up };
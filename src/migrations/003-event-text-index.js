@@ -0,0 +1,23 @@
+const Event = require("../models/event.model");
+
+// a collection can only have one text index, so the old unweighted one has
+// to go before the weighted index (with venue) can be built
+const up = async () => {
+  const indexes = await Event.collection.indexes().catch((error) => {
+    // a fresh database has no events collection yet
+    if (error.codeName === "NamespaceNotFound") return [];
+    throw error;
+  });
+  const dropped = indexes
+    .filter((index) => index.key._fts === "text" && index.name !== "event_text")
+    .map((index) => index.name);
+
+  for (const name of dropped) {
+    await Event.collection.dropIndex(name);
+  }
+  await Event.createIndexes();
+
+  return { dropped };
+};
+
+module.exports = { name: "003-event-text-index", up };
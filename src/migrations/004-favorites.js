@@ -0,0 +1,49 @@
+const Event = require("../models/event.model");
+const Favorite = require("../models/favorite.model");
+const { recountFavorites } = require("../services/favorite.service");
+
+const BATCH_SIZE = 500;
+
+// moves Event.interestedUsers into the Favorite collection, then resets
+// every interestedCount from it; safe to re-run after a partial failure
+const up = async () => {
+  const cursor = Event.collection.find(
+    { "interestedUsers.0": { $exists: true } },
+    { projection: { id: 1, interestedUsers: 1 } }
+  );
+
+  let events = 0;
+  let favorites = 0;
+  let batch = [];
+  const flush = async () => {
+    if (!batch.length) return;
+    const result = await Favorite.bulkWrite(batch, { ordered: false });
+    favorites += result.upsertedCount;
+    batch = [];
+  };
+
+  for await (const event of cursor) {
+    events += 1;
+    for (const user of new Set(event.interestedUsers.map(String))) {
+      batch.push({
+        updateOne: {
+          filter: { user, event: event.id },
+          update: { $setOnInsert: { user, event: event.id } },
+          upsert: true,
+        },
+      });
+      if (batch.length >= BATCH_SIZE) await flush();
+    }
+  }
+  await flush();
+
+  const recounted = await recountFavorites();
+  await Event.collection.updateMany(
+    { interestedUsers: { $exists: true } },
+    { $unset: { interestedUsers: "" } }
+  );
+
+  return { events, favorites, recounted };
+};
+
+module.exports = { name: "004-favorites", up };
@@ -0,0 +1,13 @@
+const Event = require("../models/event.model");
+
+// events created before statuses existed were live as soon as they were saved
+const up = async () => {
+  const result = await Event.collection.updateMany(
+    { status: { $exists: false } },
+    [{ $set: { status: "published", publishedAt: "$createdAt" } }]
+  );
+
+  return { updated: result.modifiedCount };
+};
+
+module.exports = { name: "005-event-status", up };
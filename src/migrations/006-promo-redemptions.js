@@ -0,0 +1,36 @@
+const Booking = require("../models/booking.model");
+const PromoRedemption = require("../models/promo-redemption.model");
+
+// per-user promo limits used to be counted from open bookings
+const up = async () => {
+  const counts = await Booking.aggregate([
+    {
+      $match: {
+        promoCode: { $exists: true, $ne: null },
+        user: { $exists: true, $ne: null },
+        status: { $in: ["pending", "active"] },
+      },
+    },
+    {
+      $group: {
+        _id: { code: "$promoCode", user: "$user" },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  if (counts.length) {
+    await PromoRedemption.bulkWrite(
+      counts.map(({ _id, count }) => ({
+        updateOne: {
+          filter: { code: _id.code, user: _id.user },
+          update: { $set: { count } },
+          upsert: true,
+        },
+      }))
+    );
+  }
+  return { redemptions: counts.length };
+};
+
+module.exports = { name: "006-promo-redemptions", up };
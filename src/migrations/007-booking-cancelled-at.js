@@ -0,0 +1,26 @@
+const Booking = require("../models/booking.model");
+
+// cancelled used to cover released holds too; holds always had an expiry and
+// were never paid, so cancelled bookings without one, or with money taken,
+// were sales that got cancelled
+const up = async () => {
+  const result = await Booking.collection.updateMany(
+    {
+      status: "cancelled",
+      cancelledAt: { $exists: false },
+      $or: [
+        { expiresAt: { $exists: false } },
+        {
+          "payment.status": {
+            $in: ["paid", "refunding", "refund_failed", "refunded"],
+          },
+        },
+      ],
+    },
+    [{ $set: { cancelledAt: "$updatedAt" } }]
+  );
+
+  return { updated: result.modifiedCount };
+};
+
+module.exports = { name: "007-booking-cancelled-at", up };
@@ -0,0 +1,31 @@
+const Migration = require("../models/migration.model");
+
+// in the order they must run; never reorder or rename applied entries
+const migrations = [
+  require("./001-event-schedule"),
+  require("./002-event-locations"),
+  require("./003-event-text-index"),
+  require("./004-favorites"),
+  require("./005-event-status"),
+  require("./006-promo-redemptions"),
+  require("./007-booking-cancelled-at"),
+];
+
+// applies every migration not yet recorded, returns what ran
+const runMigrations = async () => {
+  const applied = new Set(
+    (await Migration.find().select("name")).map((m) => m.name)
+  );
+
+  const ran = [];
+  for (const migration of migrations) {
+    if (applied.has(migration.name)) continue;
+
+    const result = await migration.up();
+    await Migration.create({ name: migration.name, result });
+    ran.push({ name: migration.name, result });
+  }
+  return ran;
+};
+
+module.exports = { migrations, runMigrations };
@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+
+// single-use tokens emailed to users, only the hash is stored
+const accountTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    purpose: {
+      type: String,
+      enum: ["email_verification", "password_reset"],
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+accountTokenSchema.index({ user: 1, purpose: 1 });
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AccountToken = mongoose.model("AccountToken", accountTokenSchema);
+
+module.exports = AccountToken;
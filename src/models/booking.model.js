@@ -7,21 +7,65 @@ const bookingSchema = new mongoose.Schema(
       type: Number,
       unique: true,
     },
+    // cleared when the account is deleted, the booking itself is kept for reporting
     user: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
-      required: true,
+      required: function () {
+        return !this.anonymizedAt;
+      },
+    },
+    anonymizedAt: {
+      type: Date,
     },
     event: {
       type: Number,
       ref: "Event",
       required: true,
     },
+    // one line per ticket tier, empty for events without tiers
+    items: [
+      {
+        _id: false,
+        ticketType: {
+          type: mongoose.Schema.Types.ObjectId,
+          required: true,
+        },
+        name: String,
+        unitPrice: {
+          type: Number,
+          min: 0,
+        },
+        quantity: {
+          type: Number,
+          required: true,
+          min: 1,
+        },
+      },
+    ],
     quantity: {
       type: Number,
       required: true,
       min: 1,
     },
+    // seat codes for reserved-seating events, in ticket order
+    seats: {
+      type: [String],
+      default: undefined,
+    },
+    originalPrice: {
+      type: Number,
+      min: 0,
+    },
+    discount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    promoCode: {
+      type: String,
+    },
+    // what the customer pays, after any discount
     totalPrice: {
       type: Number,
       required: true,
@@ -29,9 +73,47 @@ const bookingSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ["active", "cancelled"],
+      enum: ["pending", "active", "cancelled", "expired"],
       default: "active",
     },
+    // only set while the booking is a pending hold
+    expiresAt: {
+      type: Date,
+    },
+    // set when an active booking is cancelled, released holds never sold
+    cancelledAt: {
+      type: Date,
+    },
+    // set when the booking was cancelled along with its event
+    eventCancelledAt: {
+      type: Date,
+    },
+    // when the holder was told about that, after any refund was tried
+    eventCancellationNotifiedAt: {
+      type: Date,
+    },
+    payment: {
+      status: {
+        type: String,
+        enum: [
+          "not_required",
+          "requires_payment",
+          "paid",
+          "failed",
+          "refunding",
+          "refund_failed",
+          "refunded",
+        ],
+        default: "not_required",
+      },
+      provider: String,
+      reference: String,
+      currency: String,
+      refundReference: String,
+      // failed refunds are retried by the refund sweeper
+      refundAttempts: Number,
+      refundError: String,
+    },
     bookingDate: {
       type: Date,
       default: Date.now,
@@ -43,6 +125,12 @@ const bookingSchema = new mongoose.Schema(
 );
 
 bookingSchema.index({ user: 1, event: 1 });
+// reporting: per-event and date-range aggregations
+bookingSchema.index({ event: 1, status: 1, bookingDate: 1 });
+bookingSchema.index({ bookingDate: 1, status: 1 });
+bookingSchema.index({ status: 1, expiresAt: 1 });
+bookingSchema.index({ "payment.reference": 1 });
+bookingSchema.index({ "payment.status": 1, status: 1 });
 
 bookingSchema.pre("save", async function (next) {
   if (this.isNew) {
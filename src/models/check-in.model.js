@@ -0,0 +1,40 @@
+const mongoose = require("mongoose");
+
+// one entry per scan at the door, accepted or not
+const checkInSchema = new mongoose.Schema(
+  {
+    ticket: {
+      type: String,
+    },
+    event: {
+      type: Number,
+      ref: "Event",
+    },
+    scannedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    result: {
+      type: String,
+      enum: ["accepted", "rejected"],
+      required: true,
+    },
+    reason: {
+      type: String,
+    },
+    scannedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+checkInSchema.index({ event: 1, scannedAt: -1 });
+
+const CheckIn = mongoose.model("CheckIn", checkInSchema);
+
+module.exports = CheckIn;
@@ -0,0 +1,37 @@
+const mongoose = require("mongoose");
+
+// a user invited to help run one specific event
+const eventMemberSchema = new mongoose.Schema(
+  {
+    event: {
+      type: Number,
+      ref: "Event",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: ["co-organizer", "staff"],
+      required: true,
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+eventMemberSchema.index({ event: 1, user: 1 }, { unique: true });
+eventMemberSchema.index({ user: 1 });
+
+const EventMember = mongoose.model("EventMember", eventMemberSchema);
+
+module.exports = EventMember;
@@ -0,0 +1,91 @@
+const mongoose = require("mongoose");
+const Counter = require("./counter.model");
+
+const recurrenceSchema = new mongoose.Schema(
+  {
+    freq: {
+      type: String,
+      enum: ["daily", "weekly", "monthly"],
+      required: true,
+    },
+    interval: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+    // weekly only, 0 = Sunday
+    byWeekday: [
+      {
+        type: Number,
+        min: 0,
+        max: 6,
+      },
+    ],
+    until: {
+      type: Date,
+    },
+    count: {
+      type: Number,
+      min: 1,
+    },
+    // dates skipped even though the rule matches them
+    exceptions: [
+      {
+        type: Date,
+      },
+    ],
+  },
+  { _id: false }
+);
+
+const eventSeriesSchema = new mongoose.Schema(
+  {
+    id: {
+      type: Number,
+      unique: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    startDate: {
+      type: Date,
+      required: true,
+    },
+    recurrence: {
+      type: recurrenceSchema,
+      required: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+eventSeriesSchema.pre("save", async function (next) {
+  if (!this.isNew) {
+    return next();
+  }
+
+  try {
+    const counter = await Counter.findOneAndUpdate(
+      { name: "eventSeriesId" },
+      { $inc: { seq: 1 } },
+      { new: true, upsert: true }
+    );
+    this.id = counter.seq;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+const EventSeries = mongoose.model("EventSeries", eventSeriesSchema);
+
+module.exports = EventSeries;
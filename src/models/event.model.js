@@ -1,5 +1,79 @@
 const mongoose = require("mongoose");
 const Counter = require("./counter.model");
+const {
+  getZonedParts,
+  zonedTimeToUtc,
+  formatInTimezone,
+  isValidTimezone,
+} = require("../utils/timezone");
+
+const ticketTypeSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    price: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    capacity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    available: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    salesStart: {
+      type: Date,
+    },
+    salesEnd: {
+      type: Date,
+    },
+    maxPerOrder: {
+      type: Number,
+      min: 1,
+    },
+  },
+  { id: false }
+);
+
+// one per seat for reserved-seating events, copied from the venue's seat map
+const seatSchema = new mongoose.Schema(
+  {
+    // what bookings refer to the seat by, e.g. "Stalls-A-12"
+    code: {
+      type: String,
+      required: true,
+    },
+    section: {
+      type: String,
+      required: true,
+    },
+    row: {
+      type: String,
+      required: true,
+    },
+    number: {
+      type: String,
+      required: true,
+    },
+    // the tier the seat is sold as, when the event has ticket types
+    ticketType: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    taken: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { _id: false }
+);
 
 const eventSchema = new mongoose.Schema(
   {
@@ -27,6 +101,30 @@ const eventSchema = new mongoose.Schema(
         trim: true,
       },
     ],
+    startsAt: {
+      type: Date,
+      required: true,
+    },
+    endsAt: {
+      type: Date,
+      required: true,
+      validate: {
+        validator: function (v) {
+          return !this.startsAt || v > this.startsAt;
+        },
+        message: "Event must end after it starts",
+      },
+    },
+    // IANA zone the event happens in, used for its local date and time
+    timezone: {
+      type: String,
+      default: () => process.env.EVENT_TIMEZONE || "UTC",
+      validate: {
+        validator: isValidTimezone,
+        message: (props) => `${props.value} is not a valid timezone`,
+      },
+    },
+    // local day and "HH:mm" of startsAt, derived on save for older clients
     date: {
       type: Date,
       required: true,
@@ -41,20 +139,53 @@ const eventSchema = new mongoose.Schema(
         message: (props) => `${props.value} is not a valid time format (HH:mm)`,
       },
     },
+    // display name, taken from the linked venue when there is one
     venue: {
       type: String,
       required: true,
       trim: true,
     },
+    venueId: {
+      type: Number,
+      ref: "Venue",
+    },
+    // GeoJSON point, [longitude, latitude], copied from the venue if linked
+    location: {
+      type: {
+        type: String,
+        enum: ["Point"],
+      },
+      coordinates: {
+        type: [Number],
+        default: undefined,
+      },
+    },
+    seating: {
+      type: String,
+      enum: ["general", "reserved"],
+      default: "general",
+    },
+    seats: {
+      type: [seatSchema],
+      default: undefined,
+    },
     price: {
       type: Number,
       required: true,
       min: 0,
     },
+    currency: {
+      type: String,
+      default: "USD",
+      uppercase: true,
+      trim: true,
+    },
     image: {
       type: String,
       required: true,
     },
+    // when present, price/totalTickets/availableTickets summarize these tiers
+    ticketTypes: [ticketTypeSchema],
     totalTickets: {
       type: Number,
       required: true,
@@ -65,32 +196,164 @@ const eventSchema = new mongoose.Schema(
       required: true,
       min: 0,
     },
+    // kept in step with the Favorite collection by favorite.service
     interestedCount: {
       type: Number,
       default: 0,
+      min: 0,
     },
-    interestedUsers: [
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // occurrences of a recurring event share a series, each with its own
+    // inventory
+    series: {
+      type: Number,
+      ref: "EventSeries",
+    },
+    // set for events created by a bulk import, makes re-running a batch safe
+    importJob: {
+      type: Number,
+    },
+    importRow: {
+      type: Number,
+    },
+    // drafts and scheduled events are only visible to their organizers,
+    // see event-lifecycle.service for the allowed transitions
+    status: {
+      type: String,
+      enum: [
+        "draft",
+        "scheduled",
+        "published",
+        "postponed",
+        "cancelled",
+        "completed",
+      ],
+      default: "draft",
+    },
+    // when a scheduled event goes live
+    publishAt: {
+      type: Date,
+    },
+    publishedAt: {
+      type: Date,
+    },
+    cancelledAt: {
+      type: Date,
+    },
+    cancellationReason: {
+      type: String,
+      trim: true,
+    },
+    // progress of cancelling the event's bookings, which runs in the background
+    cancellation: {
+      status: {
+        type: String,
+        enum: ["pending", "running", "completed", "failed"],
+      },
+      startedAt: Date,
+      finishedAt: Date,
+      bookingsCancelled: Number,
+      holdsReleased: Number,
+      notified: Number,
+      failed: Number,
+      refunded: Number,
+      refundsPending: Number,
+      error: String,
+    },
+    // every move of a postponed event, oldest first
+    postponements: [
       {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: "User",
+        _id: false,
+        fromStartsAt: Date,
+        toStartsAt: Date,
+        reason: String,
+        postponedAt: Date,
       },
     ],
-    createdBy: {
+    // deleted events are kept for their bookings and can be restored by admins
+    deletedAt: {
+      type: Date,
+    },
+    deletedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
-      required: true,
     },
   },
   {
     timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// start and end on the event's own wall clock, next to the UTC instants
+eventSchema.virtual("startsAtLocal").get(function () {
+  return this.startsAt && formatInTimezone(this.startsAt, this.timezone);
+});
+
+eventSchema.virtual("endsAtLocal").get(function () {
+  return this.endsAt && formatInTimezone(this.endsAt, this.timezone);
+});
+
+// listing search ranks on this, name and tags weigh most
+eventSchema.index(
+  {
+    name: "text",
+    tags: "text",
+    category: "text",
+    venue: "text",
+    description: "text",
+  },
+  {
+    name: "event_text",
+    weights: { name: 10, tags: 5, category: 3, venue: 2, description: 1 },
   }
 );
 
-eventSchema.index({
-  name: "text",
-  description: "text",
-  category: "text",
-  tags: "text",
+eventSchema.index({ createdBy: 1 });
+eventSchema.index({ venueId: 1 });
+eventSchema.index({ location: "2dsphere" });
+eventSchema.index({ series: 1, startsAt: 1 });
+eventSchema.index({ startsAt: 1 });
+eventSchema.index({ endsAt: 1 });
+eventSchema.index({ status: 1, publishAt: 1 });
+eventSchema.index(
+  { importJob: 1, importRow: 1 },
+  { unique: true, partialFilterExpression: { importJob: { $exists: true } } }
+);
+
+eventSchema.pre("validate", function (next) {
+  // events saved before the schedule migration only have date and time
+  if (!this.startsAt && this.date && this.time) {
+    const [hour, minute] = this.time.split(":").map(Number);
+    this.startsAt = zonedTimeToUtc(
+      {
+        year: this.date.getUTCFullYear(),
+        month: this.date.getUTCMonth() + 1,
+        day: this.date.getUTCDate(),
+        hour,
+        minute,
+      },
+      this.timezone
+    );
+    const hours = parseInt(process.env.EVENT_DEFAULT_DURATION_HOURS) || 2;
+    this.endsAt = new Date(this.startsAt.getTime() + hours * 60 * 60 * 1000);
+  }
+
+  if (this.startsAt && isValidTimezone(this.timezone)) {
+    const { year, month, day, hour, minute } = getZonedParts(
+      this.startsAt,
+      this.timezone
+    );
+    this.date = new Date(Date.UTC(year, month - 1, day));
+    const pad = (value) => String(value).padStart(2, "0");
+    this.time = `${pad(hour)}:${pad(minute)}`;
+  }
+  next();
 });
 
 eventSchema.pre("save", async function (next) {
@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+
+// one per user and event the user marked as interesting; Event.interestedCount
+// counts them
+const favoriteSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    event: {
+      type: Number,
+      ref: "Event",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+favoriteSchema.index({ user: 1, event: 1 }, { unique: true });
+favoriteSchema.index({ event: 1, user: 1 });
+
+const Favorite = mongoose.model("Favorite", favoriteSchema);
+
+module.exports = Favorite;
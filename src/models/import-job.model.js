@@ -0,0 +1,118 @@
+const mongoose = require("mongoose");
+const Counter = require("./counter.model");
+
+const importResultSchema = new mongoose.Schema(
+  {
+    // 1-based, matching the row number in the uploaded file
+    row: {
+      type: Number,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["valid", "invalid", "created", "failed"],
+      required: true,
+    },
+    eventId: {
+      type: Number,
+    },
+    messages: [
+      {
+        type: String,
+      },
+    ],
+  },
+  { _id: false }
+);
+
+const importJobSchema = new mongoose.Schema(
+  {
+    id: {
+      type: Number,
+      unique: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    format: {
+      type: String,
+      enum: ["csv", "json"],
+      required: true,
+    },
+    dryRun: {
+      type: Boolean,
+      default: false,
+    },
+    status: {
+      type: String,
+      enum: ["validated", "pending", "running", "completed", "failed"],
+      default: "pending",
+    },
+    // the parsed rows, kept so an interrupted job can pick up where it stopped
+    rows: [
+      {
+        type: mongoose.Schema.Types.Mixed,
+      },
+    ],
+    results: [importResultSchema],
+    // index of the first row not yet processed
+    nextRow: {
+      type: Number,
+      default: 0,
+    },
+    totalRows: {
+      type: Number,
+      default: 0,
+    },
+    createdCount: {
+      type: Number,
+      default: 0,
+    },
+    invalidCount: {
+      type: Number,
+      default: 0,
+    },
+    failedCount: {
+      type: Number,
+      default: 0,
+    },
+    error: {
+      type: String,
+    },
+    startedAt: {
+      type: Date,
+    },
+    finishedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+importJobSchema.index({ status: 1 });
+
+importJobSchema.pre("save", async function (next) {
+  if (!this.isNew) {
+    return next();
+  }
+
+  try {
+    const counter = await Counter.findOneAndUpdate(
+      { name: "importJobId" },
+      { $inc: { seq: 1 } },
+      { new: true, upsert: true }
+    );
+    this.id = counter.seq;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+const ImportJob = mongoose.model("ImportJob", importJobSchema);
+
+module.exports = ImportJob;
@@ -0,0 +1,21 @@
+const mongoose = require("mongoose");
+
+// one document per data migration that has been applied
+const migrationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  appliedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+});
+
+const Migration = mongoose.model("Migration", migrationSchema);
+
+module.exports = Migration;
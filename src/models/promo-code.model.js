@@ -0,0 +1,95 @@
+const mongoose = require("mongoose");
+const Counter = require("./counter.model");
+
+const promoCodeSchema = new mongoose.Schema(
+  {
+    id: {
+      type: Number,
+      unique: true,
+    },
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      uppercase: true,
+    },
+    discountType: {
+      type: String,
+      enum: ["percentage", "fixed"],
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // leave empty for no limit
+    maxUses: {
+      type: Number,
+      min: 1,
+    },
+    maxUsesPerUser: {
+      type: Number,
+      min: 1,
+    },
+    usedCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    validFrom: {
+      type: Date,
+    },
+    validUntil: {
+      type: Date,
+    },
+    // when both are empty the code applies to every event
+    events: [
+      {
+        type: Number,
+        ref: "Event",
+      },
+    ],
+    categories: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+promoCodeSchema.pre("save", async function (next) {
+  if (!this.isNew) {
+    return next();
+  }
+
+  try {
+    const counter = await Counter.findOneAndUpdate(
+      { name: "promoCodeId" },
+      { $inc: { seq: 1 } },
+      { new: true, upsert: true }
+    );
+    this.id = counter.seq;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+const PromoCode = mongoose.model("PromoCode", promoCodeSchema);
+
+module.exports = PromoCode;
@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+
+// how many open bookings a user holds with a promo code, so the per-user
+// limit is enforced with one atomic update
+const promoRedemptionSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    count: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+promoRedemptionSchema.index({ code: 1, user: 1 }, { unique: true });
+
+const PromoRedemption = mongoose.model(
+  "PromoRedemption",
+  promoRedemptionSchema
+);
+
+module.exports = PromoRedemption;
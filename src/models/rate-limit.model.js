@@ -0,0 +1,24 @@
+const mongoose = require("mongoose");
+
+// shared counters for rate limiting across several app instances
+const rateLimitSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  resetAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimit = mongoose.model("RateLimit", rateLimitSchema);
+
+module.exports = RateLimit;
@@ -0,0 +1,54 @@
+const mongoose = require("mongoose");
+
+// one row per refresh token, rows from the same login share a family
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    family: {
+      type: String,
+      required: true,
+    },
+    // sha256 of the refresh token, the token itself is never stored
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    status: {
+      type: String,
+      enum: ["active", "rotated", "revoked"],
+      default: "active",
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    userAgent: {
+      type: String,
+    },
+    ip: {
+      type: String,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedReason: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+sessionSchema.index({ family: 1, status: 1 });
+sessionSchema.index({ user: 1, status: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model("Session", sessionSchema);
+
+module.exports = Session;
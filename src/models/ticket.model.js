@@ -0,0 +1,62 @@
+const mongoose = require("mongoose");
+
+const ticketSchema = new mongoose.Schema(
+  {
+    // random public identifier, the QR code carries this plus a signature
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    booking: {
+      type: Number,
+      ref: "Booking",
+      required: true,
+    },
+    event: {
+      type: Number,
+      ref: "Event",
+      required: true,
+    },
+    // cleared when the account is deleted
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // position of the ticket within its booking, starting at 1
+    number: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    ticketType: {
+      type: String,
+    },
+    // seat code, for reserved-seating events
+    seat: {
+      type: String,
+    },
+    status: {
+      type: String,
+      enum: ["valid", "used"],
+      default: "valid",
+    },
+    checkedInAt: {
+      type: Date,
+    },
+    checkedInBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+ticketSchema.index({ booking: 1, number: 1 }, { unique: true });
+ticketSchema.index({ event: 1, status: 1 });
+
+const Ticket = mongoose.model("Ticket", ticketSchema);
+
+module.exports = Ticket;
@@ -1,6 +1,7 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
 const Counter = require("./counter.model");
+const Session = require("./session.model");
 
 const userSchema = new mongoose.Schema(
   {
@@ -25,11 +26,40 @@ const userSchema = new mongoose.Schema(
       required: true,
       trim: true,
     },
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: {
+      type: Date,
+    },
     role: {
       type: String,
-      enum: ["user", "admin"],
+      enum: ["user", "organizer", "admin"],
       default: "user",
     },
+    // suspended accounts can't log in or use their tokens
+    suspendedAt: {
+      type: Date,
+    },
+    suspendedUntil: {
+      type: Date,
+    },
+    suspensionReason: {
+      type: String,
+    },
+    // set while a self-service deletion is in its cooling-off period
+    deletionRequestedAt: {
+      type: Date,
+    },
+    deletionScheduledFor: {
+      type: Date,
+    },
+    // sha256 of the secret in the user's calendar feed URL
+    calendarFeedTokenHash: {
+      type: String,
+      select: false,
+    },
     profileImage: {
       type: String,
       default: "",
@@ -44,17 +74,23 @@ const userSchema = new mongoose.Schema(
   }
 );
 
+userSchema.index({ calendarFeedTokenHash: 1 }, { unique: true, sparse: true });
+
 userSchema.pre("save", async function (next) {
   if (!this.isModified("password")) return next();
 
   try {
-    const counter = await Counter.findOneAndUpdate(
-      { name: "userId" },
-      { $inc: { seq: 1 } },
-      { new: true, upsert: true }
-    );
+    if (this.isNew) {
+      const counter = await Counter.findOneAndUpdate(
+        { name: "userId" },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true }
+      );
+      this.id = counter.seq;
+    } else {
+      this.$locals.passwordChanged = true;
+    }
     const salt = await bcrypt.genSalt(10);
-    this.id = counter.seq;
     this.password = await bcrypt.hash(this.password, salt);
     next();
   } catch (error) {
@@ -62,6 +98,28 @@ userSchema.pre("save", async function (next) {
   }
 });
 
+// a new password ends every existing session
+userSchema.post("save", async function () {
+  if (!this.$locals.passwordChanged) return;
+
+  this.$locals.passwordChanged = false;
+  await Session.updateMany(
+    { user: this._id, status: { $ne: "revoked" } },
+    {
+      status: "revoked",
+      revokedAt: new Date(),
+      revokedReason: "password_changed",
+    }
+  );
+});
+
+userSchema.methods.isSuspended = function () {
+  return (
+    !!this.suspendedAt &&
+    (!this.suspendedUntil || this.suspendedUntil > new Date())
+  );
+};
+
 userSchema.methods.comparePassword = async function (candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
@@ -0,0 +1,131 @@
+const mongoose = require("mongoose");
+const Counter = require("./counter.model");
+
+const seatRowSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // seat labels in order, e.g. ["1", "2", "3"]
+    seats: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+  },
+  { _id: false }
+);
+
+const seatSectionSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    rows: [seatRowSchema],
+  },
+  { _id: false }
+);
+
+const venueSchema = new mongoose.Schema(
+  {
+    id: {
+      type: Number,
+      unique: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    address: {
+      line1: {
+        type: String,
+        required: true,
+        trim: true,
+      },
+      line2: {
+        type: String,
+        trim: true,
+      },
+      city: {
+        type: String,
+        required: true,
+        trim: true,
+      },
+      region: {
+        type: String,
+        trim: true,
+      },
+      postalCode: {
+        type: String,
+        trim: true,
+      },
+      country: {
+        type: String,
+        required: true,
+        trim: true,
+      },
+    },
+    // GeoJSON point, coordinates are [longitude, latitude]
+    location: {
+      type: {
+        type: String,
+        enum: ["Point"],
+      },
+      coordinates: {
+        type: [Number],
+        default: undefined,
+      },
+    },
+    capacity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    // only for venues with reserved seating
+    seatMap: {
+      sections: {
+        type: [seatSectionSchema],
+        default: undefined,
+      },
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+venueSchema.index({ location: "2dsphere" });
+venueSchema.index({ "address.city": 1 });
+
+venueSchema.pre("save", async function (next) {
+  if (!this.isNew) {
+    return next();
+  }
+
+  try {
+    const counter = await Counter.findOneAndUpdate(
+      { name: "venueId" },
+      { $inc: { seq: 1 } },
+      { new: true, upsert: true }
+    );
+    this.id = counter.seq;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+const Venue = mongoose.model("Venue", venueSchema);
+
+module.exports = Venue;
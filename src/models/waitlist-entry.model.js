@@ -0,0 +1,71 @@
+const mongoose = require("mongoose");
+const Counter = require("./counter.model");
+
+const waitlistEntrySchema = new mongoose.Schema(
+  {
+    id: {
+      type: Number,
+      unique: true,
+    },
+    event: {
+      type: Number,
+      ref: "Event",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    // only for events with ticket tiers
+    ticketType: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    status: {
+      type: String,
+      enum: ["waiting", "offered", "claimed", "expired", "cancelled"],
+      default: "waiting",
+    },
+    // the pending hold created for the user when tickets are offered
+    booking: {
+      type: Number,
+      ref: "Booking",
+    },
+    offerExpiresAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+waitlistEntrySchema.index({ event: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ user: 1, status: 1 });
+
+waitlistEntrySchema.pre("save", async function (next) {
+  if (!this.isNew) {
+    return next();
+  }
+
+  try {
+    const counter = await Counter.findOneAndUpdate(
+      { name: "waitlistEntryId" },
+      { $inc: { seq: 1 } },
+      { new: true, upsert: true }
+    );
+    this.id = counter.seq;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+const WaitlistEntry = mongoose.model("WaitlistEntry", waitlistEntrySchema);
+
+module.exports = WaitlistEntry;
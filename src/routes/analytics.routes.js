@@ -0,0 +1,135 @@
+const express = require("express");
+const router = express.Router();
+const { auth } = require("../middleware/auth.middleware");
+const { requirePermission } = require("../middleware/permission.middleware");
+const User = require("../models/user.model");
+const {
+  INTERVALS,
+  getOrganizerEventIds,
+  salesOverTime,
+  revenueSummary,
+  cancellationRate,
+  favoriteConversion,
+  topByEventField,
+  organizerDashboard,
+} = require("../services/analytics.service");
+const httpError = require("../utils/http-error");
+
+const parseDate = (value, name) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  if (isNaN(date)) {
+    throw httpError(400, `Invalid ${name} date`);
+  }
+  return date;
+};
+
+// date range and event scope from the query, organizers only see their events
+const resolveFilters = async (req) => {
+  const filters = {
+    from: parseDate(req.query.from, "from"),
+    to: parseDate(req.query.to, "to"),
+    eventIds: null,
+  };
+
+  if (req.user.role !== "admin") {
+    filters.eventIds = await getOrganizerEventIds(req.user._id);
+  }
+
+  if (req.query.eventId) {
+    const eventId = parseInt(req.query.eventId);
+    if (isNaN(eventId)) {
+      throw httpError(400, "Invalid event ID");
+    }
+    if (filters.eventIds && !filters.eventIds.includes(eventId)) {
+      throw httpError(403, "Access denied.");
+    }
+    filters.eventIds = [eventId];
+  }
+
+  return filters;
+};
+
+const parseLimit = (value, fallback) =>
+  Math.min(Math.max(parseInt(value) || fallback, 1), 100);
+
+// wraps a report so every endpoint shares auth, filters and error handling
+const report = (build) => [
+  auth,
+  requirePermission("analytics:view"),
+  async (req, res) => {
+    try {
+      const filters = await resolveFilters(req);
+      res.json(await build(filters, req));
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      res
+        .status(500)
+        .json({ message: "Error building report", error: error.message });
+    }
+  },
+];
+
+// Routers
+router.get(
+  "/sales",
+  report((filters, req) => {
+    const interval = req.query.interval || "day";
+    if (!INTERVALS.includes(interval)) {
+      throw httpError(400, `Interval must be one of ${INTERVALS.join(", ")}`);
+    }
+    return salesOverTime(filters, interval);
+  })
+);
+
+router.get("/revenue", report((filters) => revenueSummary(filters)));
+
+router.get("/cancellations", report((filters) => cancellationRate(filters)));
+
+router.get(
+  "/conversion",
+  report((filters, req) =>
+    favoriteConversion(filters, parseLimit(req.query.limit, 20))
+  )
+);
+
+router.get(
+  "/top-categories",
+  report((filters, req) =>
+    topByEventField(filters, "category", parseLimit(req.query.limit, 10))
+  )
+);
+
+router.get(
+  "/top-venues",
+  report((filters, req) =>
+    topByEventField(filters, "venue", parseLimit(req.query.limit, 10))
+  )
+);
+
+// admins can pass ?organizerId=<user id> to see someone else's dashboard
+router.get(
+  "/dashboard",
+  report(async (filters, req) => {
+    let organizerId = req.user._id;
+
+    if (req.query.organizerId && req.user.role === "admin") {
+      const organizer = await User.findOne({
+        id: parseInt(req.query.organizerId),
+      });
+      if (!organizer) {
+        throw httpError(404, "Organizer not found");
+      }
+      organizerId = organizer._id;
+    }
+
+    return organizerDashboard(organizerId, {
+      from: filters.from,
+      to: filters.to,
+    });
+  })
+);
+
+module.exports = router;
@@ -1,10 +1,39 @@
 const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
-const jwt = require('jsonwebtoken');
 const User = require('../models/user.model');
+const { auth } = require('../middleware/auth.middleware');
+const { rateLimit } = require('../middleware/rate-limit.middleware');
+const { getLockout, recordFailure, recordSuccess } = require('../services/login-guard.service');
+const {
+  startSession,
+  rotateSession,
+  revokeFamily,
+  revokeAllSessions,
+  listSessions
+} = require('../services/session.service');
+const {
+  consumeToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  verifyEmail
+} = require('../services/account-token.service');
 
-router.post('/signup', [
+const FIFTEEN_MINUTES = 15 * 60 * 1000;
+
+const signupLimit = rateLimit({ name: 'signup', windowMs: 60 * 60 * 1000, max: 10 });
+const loginLimits = [
+  rateLimit({ name: 'login', windowMs: FIFTEEN_MINUTES, max: 30 }),
+  rateLimit({ name: 'login', windowMs: FIFTEEN_MINUTES, max: 10, keyBy: 'email' })
+];
+const recoveryLimit = rateLimit({ name: 'recovery', windowMs: FIFTEEN_MINUTES, max: 5 });
+
+const sessionMeta = (req) => ({
+  userAgent: req.get('User-Agent'),
+  ip: req.ip
+});
+
+router.post('/signup', signupLimit, [
   body('email').isEmail().withMessage('Please enter a valid email'),
   body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters long'),
   body('confirmPassword').custom((value, { req }) => {
@@ -35,20 +64,22 @@ router.post('/signup', [
     });
 
     await user.save();
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
+    const tokens = await startSession(user, sessionMeta(req));
+
+    // a mail outage shouldn't block signing up, the user can ask again
+    sendVerificationEmail(user).catch((err) =>
+      console.error('Error sending verification email:', err)
     );
 
     res.status(201).json({
       message: 'User created successfully',
-      token,
+      ...tokens,
       user: {
         id: user._id,
         email: user.email,
         name: user.name,
-        role: user.role
+        role: user.role,
+        emailVerified: user.emailVerified
       }
     });
   } catch (error) {
@@ -56,7 +87,7 @@ router.post('/signup', [
   }
 });
 
-router.post('/login', [
+router.post('/login', loginLimits, [
   body('email').isEmail().withMessage('Please enter a valid email'),
   body('password').notEmpty().withMessage('Password is required')
 ], async (req, res) => {
@@ -66,32 +97,39 @@ router.post('/login', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { email, password } = req.body;
+    const { password } = req.body;
+    const email = req.body.email.trim().toLowerCase();
 
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(401).json({ message: 'Invalid credentials' });
+    const retryAfter = await getLockout(email);
+    if (retryAfter) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ message: 'Too many failed login attempts, please try again later' });
     }
 
-    const isMatch = await user.comparePassword(password);
+    const user = await User.findOne({ email });
+    const isMatch = user && await user.comparePassword(password);
     if (!isMatch) {
+      await recordFailure(email);
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    await recordSuccess(email);
+
+    if (user.isSuspended()) {
+      return res.status(403).json({ message: 'Account suspended' });
+    }
+
+    const tokens = await startSession(user, sessionMeta(req));
 
     res.json({
       message: 'Login successful',
-      token,
+      ...tokens,
       user: {
         id: user._id,
         email: user.email,
         name: user.name,
-        role: user.role
+        role: user.role,
+        emailVerified: user.emailVerified
       }
     });
   } catch (error) {
@@ -99,4 +137,140 @@ router.post('/login', [
   }
 });
 
+router.post('/verify-email/request', auth, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    await sendVerificationEmail(req.user);
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error sending verification email', error: error.message });
+  }
+});
+
+router.post('/verify-email', [
+  body('token').notEmpty().withMessage('Token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await verifyEmail(req.body.token);
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired token' });
+    }
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error verifying email', error: error.message });
+  }
+});
+
+router.post('/forgot-password', recoveryLimit, [
+  body('email').isEmail().withMessage('Please enter a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const email = req.body.email.trim().toLowerCase();
+    const user = await User.findOne({ email });
+    if (user) {
+      await sendPasswordResetEmail(user);
+    }
+
+    // same answer either way so emails can't be probed
+    res.json({ message: 'If that account exists, a reset link has been sent' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error requesting password reset', error: error.message });
+  }
+});
+
+router.post('/reset-password', recoveryLimit, [
+  body('token').notEmpty().withMessage('Token is required'),
+  body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters long'),
+  body('confirmPassword').custom((value, { req }) => {
+    if (value !== req.body.password) {
+      throw new Error('Password confirmation does not match password');
+    }
+    return true;
+  })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = await consumeToken(req.body.token, 'password_reset');
+    const user = userId && await User.findById(userId);
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired token' });
+    }
+
+    // saving the new password also ends every existing session
+    user.password = req.body.password;
+    await user.save();
+
+    res.json({ message: 'Password reset successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error resetting password', error: error.message });
+  }
+});
+
+router.post('/refresh', [
+  body('refreshToken').notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const tokens = await rotateSession(req.body.refreshToken, sessionMeta(req));
+    res.json(tokens);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error refreshing session', error: error.message });
+  }
+});
+
+router.post('/logout', auth, async (req, res) => {
+  try {
+    await revokeFamily(req.sessionId, 'logout');
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error logging out', error: error.message });
+  }
+});
+
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    await revokeAllSessions(req.user._id, 'logout_all');
+    res.json({ message: 'Logged out of all devices' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error logging out', error: error.message });
+  }
+});
+
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user._id);
+    res.json(sessions.map((session) => ({
+      ...session.toObject(),
+      current: session.family === req.sessionId
+    })));
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching sessions', error: error.message });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -1,9 +1,18 @@
 const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
-const { auth } = require('../middleware/auth.middleware');
+const { auth, requireVerifiedEmail } = require('../middleware/auth.middleware');
+const { rateLimit } = require('../middleware/rate-limit.middleware');
 const Booking = require('../models/booking.model');
 const Event = require('../models/event.model');
+const { reserveTickets, releaseTickets, cancelBooking } = require('../services/inventory.service');
+const { holdExpiry, releaseHold } = require('../services/hold.service');
+const { startPayment, refundBooking } = require('../services/payment.service');
+const { quoteBooking } = require('../services/pricing.service');
+const { redeemPromoCode, releasePromoCode } = require('../services/promo.service');
+const { toToken, issueTickets, renderQrCode } = require('../services/ticket.service');
+const { seatAvailability } = require('../services/venue.service');
+const { parsePagination, sortFor, cursorFilter, fetchLimit, paginate } = require('../utils/pagination');
 
 // parse booking ID
 const parseBookingId = (id) => {
@@ -14,73 +23,249 @@ const parseBookingId = (id) => {
   return parsedId;
 };
 
-// Routers
-router.post('/', auth, [
+// ?sort= values for booking lists
+const BOOKING_SORTS = {
+  newest: { field: 'bookingDate', direction: -1 },
+  price: { field: 'totalPrice', direction: 1 }
+};
+
+const bookingLimit = rateLimit({ name: 'booking', windowMs: 60 * 1000, max: 20, keyBy: 'user' });
+
+const bookingValidators = [
   body('eventId').notEmpty().withMessage('Event ID is required'),
-  body('quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1')
-], async (req, res) => {
+  body('quantity')
+    .if(body('items').not().exists())
+    .if(body('seats').not().exists())
+    .isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('items').optional().isArray({ min: 1 }).withMessage('Items must be a non-empty list'),
+  body('items.*.ticketType').notEmpty().withMessage('Ticket type is required'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('seats').optional().isArray({ min: 1 }).withMessage('Seats must be a non-empty list'),
+  body('seats.*').isString().withMessage('Seat IDs must be strings'),
+  body('promoCode').optional().isString().withMessage('Promo code must be a string')
+];
+
+// build a create handler for either a confirmed booking or a pending hold
+const createBooking = (hold) => async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { eventId, quantity } = req.body;
-    const event = await Event.findOne({ id: eventId });
-    if (!event) {
+    const eventId = parseInt(req.body.eventId);
+    const current = await Event.findOne({ id: eventId });
+    if (!current) {
       return res.status(404).json({ message: 'Event not found' });
     }
 
-    if (event.availableTickets < quantity) {
+    const { items, quantity, seats, originalPrice, discount, totalPrice, promoCode } =
+      await quoteBooking(current, req.body, req.user._id);
+
+    if (promoCode && !(await redeemPromoCode(promoCode, req.user._id))) {
+      return res.status(400).json({ message: 'Promo code usage limit reached' });
+    }
+
+    // seats are locked in the same update that takes the tickets
+    const event = await reserveTickets(eventId, quantity, items, seats);
+    if (!event) {
+      if (promoCode) await releasePromoCode(promoCode, req.user._id);
+      if (seats.length) {
+        const latest = await Event.findOne({ id: eventId });
+        return res.status(409).json({
+          message: 'One or more of those seats are no longer available',
+          seatMap: seatAvailability(latest)
+        });
+      }
       return res.status(400).json({ message: 'Not enough tickets available' });
     }
 
+    // give the tickets and promo use back so a failed booking doesn't eat them
+    const undoReservation = async () => {
+      await releaseTickets(eventId, quantity, items, seats);
+      if (promoCode) await releasePromoCode(promoCode, req.user._id);
+    };
+
     const booking = new Booking({
       user: req.user._id,
       event: eventId,
+      items,
       quantity,
-      totalPrice: event.price * quantity
+      ...(seats.length && { seats }),
+      originalPrice,
+      discount,
+      promoCode,
+      totalPrice,
+      // paid bookings stay a hold until the payment webhook confirms them
+      ...((hold || totalPrice > 0) && { status: 'pending', expiresAt: holdExpiry() })
     });
 
-    event.availableTickets -= quantity;
-    await event.save();
-    await booking.save();
+    try {
+      await booking.save();
+    } catch (error) {
+      await undoReservation();
+      throw error;
+    }
+
+    let clientSecret;
+    try {
+      clientSecret = await startPayment(booking, event.currency);
+    } catch (error) {
+      await Booking.updateOne({ _id: booking._id }, { status: 'cancelled' });
+      await undoReservation();
+      throw error;
+    }
 
-    res.status(201).json(booking);
+    res.status(201).json({
+      ...booking.toObject(),
+      clientSecret,
+      ...(seats.length && { seatMap: seatAvailability(event) })
+    });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Error creating booking', error: error.message });
   }
+};
+
+// Routers
+router.post('/', auth, requireVerifiedEmail, bookingLimit, bookingValidators, createBooking(false));
+
+// price a booking, promo code included, without reserving anything
+router.post('/quote', auth, bookingValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const event = await Event.findOne({ id: parseInt(req.body.eventId) });
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const quote = await quoteBooking(event, req.body, req.user._id);
+    const takenSeats = quote.seats.filter((code) =>
+      event.seats.some((seat) => seat.code === code && seat.taken)
+    );
+
+    res.json({
+      eventId: event.id,
+      currency: event.currency,
+      ...quote,
+      available: event.availableTickets >= quote.quantity && !takenSeats.length,
+      ...(takenSeats.length && { takenSeats })
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error quoting booking', error: error.message });
+  }
+});
+
+router.post('/holds', auth, requireVerifiedEmail, bookingLimit, bookingValidators, createBooking(true));
+
+router.put('/:id/confirm', auth, async (req, res) => {
+  try {
+    const bookingId = parseBookingId(req.params.id);
+    const existing = await Booking.findOne({ id: bookingId });
+
+    if (!existing) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    if (existing.user?.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to confirm this booking' });
+    }
+
+    if (!['not_required', 'paid'].includes(existing.payment.status)) {
+      return res.status(402).json({ message: 'Payment is required to confirm this booking' });
+    }
+
+    const booking = await Booking.findOneAndUpdate(
+      { id: bookingId, status: 'pending', expiresAt: { $gt: new Date() } },
+      { status: 'active' },
+      { new: true }
+    );
+
+    if (!booking) {
+      return res.status(400).json({ message: 'Hold is not pending or has expired' });
+    }
+
+    res.json({ message: 'Booking confirmed successfully', booking });
+  } catch (error) {
+    if (error.message === 'Invalid booking ID') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error confirming booking', error: error.message });
+  }
+});
+
+router.put('/:id/release', auth, async (req, res) => {
+  try {
+    const bookingId = parseBookingId(req.params.id);
+    const existing = await Booking.findOne({ id: bookingId });
+
+    if (!existing) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    if (existing.user?.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to release this booking' });
+    }
+
+    const booking = await releaseHold({ id: bookingId }, 'cancelled');
+    if (!booking) {
+      return res.status(400).json({ message: 'Hold is not pending' });
+    }
+
+    res.json({ message: 'Hold released successfully', booking });
+  } catch (error) {
+    if (error.message === 'Invalid booking ID') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error releasing hold', error: error.message });
+  }
 });
 
 router.get('/my-bookings', auth, async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
+    const pagination = parsePagination(req.query, { sorts: BOOKING_SORTS, defaultSort: 'newest' });
+    const query = { user: req.user._id };
+    const filter = cursorFilter(pagination);
+
+    const bookings = await Booking.find(filter ? { $and: [query, filter] } : query)
+      .sort(sortFor(pagination))
+      .skip(pagination.skip)
+      .limit(fetchLimit(pagination));
 
-    const bookings = await Booking.find({ user: req.user._id })
-      .sort({ bookingDate: -1 })
-      .skip(skip)
-      .limit(limit);
+    const total = pagination.cursorMode ? undefined : await Booking.countDocuments(query);
+    const page = paginate(bookings, pagination, { req, total });
 
-    const populatedBookings = await Promise.all(bookings.map(async (booking) => {
+    const populatedBookings = await Promise.all(page.items.map(async (booking) => {
       const bookingObj = booking.toObject();
-      const event = await Event.findOne({ id: booking.event }).select('id name date venue image category price isFavorite');
+      const event = await Event.findOne({ id: booking.event }).select('id name date startsAt endsAt timezone venue venueId seating image category price status isFavorite');
       return {
         ...bookingObj,
         event: event
       };
     }));
 
-    const total = await Booking.countDocuments({ user: req.user._id });
-
     res.json({
       bookings: populatedBookings,
-      currentPage: page,
-      totalPages: Math.ceil(total / limit),
-      totalBookings: total
+      ...(!pagination.cursorMode && {
+        currentPage: pagination.page,
+        totalPages: page.pagination.totalPages,
+        totalBookings: total
+      }),
+      pagination: page.pagination
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Error fetching bookings', error: error.message });
   }
 });
@@ -88,28 +273,30 @@ router.get('/my-bookings', auth, async (req, res) => {
 router.put('/:id/cancel', auth, async (req, res) => {
   try {
     const bookingId = parseBookingId(req.params.id);
-    const booking = await Booking.findOne({ id: bookingId });
+    const existing = await Booking.findOne({ id: bookingId });
     
-    if (!booking) {
+    if (!existing) {
       return res.status(404).json({ message: 'Booking not found' });
     }
 
-    if (booking.user.toString() !== req.user._id.toString()) {
+    if (existing.user?.toString() !== req.user._id.toString()) {
       return res.status(403).json({ message: 'Not authorized to cancel this booking' });
     }
 
-    if (booking.status === 'cancelled') {
+    // only one concurrent cancel can flip the status, so tickets are released once
+    const cancelled = await cancelBooking({ id: bookingId });
+
+    if (!cancelled) {
       return res.status(400).json({ message: 'Booking is already cancelled' });
     }
 
-    const event = await Event.findOne({ id: booking.event });
-    event.availableTickets += booking.quantity;
-    await event.save();
-
-    booking.status = 'cancelled';
-    await booking.save();
+    // a refund the provider rejects is retried by the refund sweeper
+    const booking = await refundBooking(cancelled);
+    const message = booking.payment.status === 'refund_failed'
+      ? 'Booking cancelled, the refund will be retried shortly'
+      : 'Booking cancelled successfully';
 
-    res.json({ message: 'Booking cancelled successfully', booking });
+    res.json({ message, booking });
   } catch (error) {
     if (error.message === 'Invalid booking ID') {
       return res.status(400).json({ message: error.message });
@@ -118,20 +305,94 @@ router.put('/:id/cancel', auth, async (req, res) => {
   }
 });
 
+router.get('/:id/tickets', auth, async (req, res) => {
+  try {
+    const bookingId = parseBookingId(req.params.id);
+    const booking = await Booking.findOne({ id: bookingId });
+
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    if (booking.user?.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to view these tickets' });
+    }
+
+    if (booking.status !== 'active') {
+      return res.status(400).json({ message: 'Tickets are only available for active bookings' });
+    }
+
+    const tickets = await issueTickets(booking);
+    const withQrCodes = await Promise.all(tickets.map(async (ticket) => ({
+      ...ticket.toObject(),
+      token: toToken(ticket),
+      qrCode: await renderQrCode(ticket)
+    })));
+
+    res.json(withQrCodes);
+  } catch (error) {
+    if (error.message === 'Invalid booking ID') {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error fetching tickets', error: error.message });
+  }
+});
+
+// single ticket as an image, ?format=png for a PNG instead of SVG
+router.get('/:id/tickets/:number/qr', auth, async (req, res) => {
+  try {
+    const bookingId = parseBookingId(req.params.id);
+    const booking = await Booking.findOne({ id: bookingId });
+
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    if (booking.user?.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to view these tickets' });
+    }
+
+    if (booking.status !== 'active') {
+      return res.status(400).json({ message: 'Tickets are only available for active bookings' });
+    }
+
+    const tickets = await issueTickets(booking);
+    const ticket = tickets.find((t) => t.number === parseInt(req.params.number));
+    if (!ticket) {
+      return res.status(404).json({ message: 'Ticket not found' });
+    }
+
+    const format = req.query.format === 'png' ? 'png' : 'svg';
+    res.type(format === 'png' ? 'image/png' : 'image/svg+xml');
+    res.send(await renderQrCode(ticket, format));
+  } catch (error) {
+    if (error.message === 'Invalid booking ID') {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error rendering ticket', error: error.message });
+  }
+});
+
 router.get('/:id', auth, async (req, res) => {
   try {
     const bookingId = parseBookingId(req.params.id);
     const booking = await Booking.findOne({ id: bookingId })
       .populate({
         path: 'event',
-        select: 'name date venue image price'
+        select: 'name date startsAt endsAt timezone venue image price'
       });
 
     if (!booking) {
       return res.status(404).json({ message: 'Booking not found' });
     }
 
-    if (booking.user.toString() !== req.user._id.toString()) {
+    if (booking.user?.toString() !== req.user._id.toString()) {
       return res.status(403).json({ message: 'Not authorized to view this booking' });
     }
 
@@ -0,0 +1,30 @@
+const express = require("express");
+const router = express.Router();
+const User = require("../models/user.model");
+const {
+  buildUserCalendar,
+  hashFeedToken,
+} = require("../services/calendar.service");
+
+// calendar apps can't send headers, so the secret in the URL is the auth
+router.get("/feed/:token", async (req, res) => {
+  try {
+    const token = req.params.token.replace(/\.ics$/, "");
+    const user = await User.findOne({
+      calendarFeedTokenHash: hashFeedToken(token),
+    });
+
+    if (!user || user.isSuspended()) {
+      return res.status(404).json({ message: "Calendar feed not found" });
+    }
+
+    res.type("text/calendar");
+    res.send(await buildUserCalendar(user));
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Error fetching calendar feed", error: error.message });
+  }
+});
+
+module.exports = router;
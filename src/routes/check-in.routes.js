@@ -0,0 +1,66 @@
+const express = require("express");
+const router = express.Router();
+const { body, validationResult } = require("express-validator");
+const { auth } = require("../middleware/auth.middleware");
+const {
+  requirePermission,
+  eventFromParams,
+} = require("../middleware/permission.middleware");
+const {
+  checkInTicket,
+  getAttendanceSummary,
+} = require("../services/ticket.service");
+
+// Routers
+router.post(
+  "/",
+  auth,
+  // without an eventId only admins may scan, since any event's ticket is accepted
+  requirePermission("event:check-in", { eventFrom: (req) => req.body.eventId }),
+  [
+    body("token").notEmpty().withMessage("Ticket token is required"),
+    body("eventId").optional().isInt().withMessage("Invalid event ID"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const eventId = req.body.eventId ? parseInt(req.body.eventId) : undefined;
+      const ticket = await checkInTicket(req.body.token, req.user._id, eventId);
+
+      res.json({ message: "Ticket checked in successfully", ticket });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      res
+        .status(500)
+        .json({ message: "Error checking in ticket", error: error.message });
+    }
+  }
+);
+
+router.get(
+  "/events/:id/attendance",
+  auth,
+  requirePermission("event:view-attendance", { eventFrom: eventFromParams }),
+  async (req, res) => {
+    try {
+      const eventId = parseInt(req.params.id);
+      if (isNaN(eventId)) {
+        return res.status(400).json({ message: "Invalid event ID" });
+      }
+
+      res.json(await getAttendanceSummary(eventId));
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error fetching attendance", error: error.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -1,23 +1,77 @@
 const express = require("express");
+const { once } = require("events");
+const { Types } = require("mongoose");
 const router = express.Router();
 const { body, validationResult } = require("express-validator");
-const { auth, isAdmin } = require("../middleware/auth.middleware");
+const { auth } = require("../middleware/auth.middleware");
+const {
+  requirePermission,
+  eventFromParams,
+} = require("../middleware/permission.middleware");
 const Event = require("../models/event.model");
-const multer = require("multer");
-const cloudinary = require("cloudinary").v2;
-
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-});
-
-const upload = multer({
-  storage: multer.memoryStorage(),
-  limits: {
-    fileSize: 5 * 1024 * 1024,
-  },
-});
+const Booking = require("../models/booking.model");
+const EventMember = require("../models/event-member.model");
+const User = require("../models/user.model");
+const { getTicketCounts } = require("../services/inventory.service");
+const EventSeries = require("../models/event-series.model");
+const {
+  buildEvent,
+  applyEventUpdate,
+  saveEventUpdate,
+} = require("../services/event.service");
+const {
+  createSeries,
+  updateFutureOccurrences,
+} = require("../services/series.service");
+const {
+  parseTags,
+  parseGeoParams,
+  findEvents,
+  facetCounts,
+  autocomplete,
+} = require("../services/event-search.service");
+const { scheduleConditions } = require("../services/schedule.service");
+const { hasPermission } = require("../services/permission.service");
+const {
+  findVenue,
+  attachVenue,
+  seatAvailability,
+} = require("../services/venue.service");
+const {
+  createEventValidators,
+  seriesValidators,
+} = require("../validators/event.validators");
+const { promoteWaitlist } = require("../services/waitlist.service");
+const { upload, uploadImage } = require("../services/image.service");
+const { buildCalendar } = require("../services/calendar.service");
+const { recommendEvents } = require("../services/recommendation.service");
+const {
+  addFavorite,
+  removeFavorite,
+  favoritedEventIds,
+  userFavoriteEventIds,
+} = require("../services/favorite.service");
+const {
+  PUBLIC_STATUSES,
+  publicConditions,
+  canViewEvent,
+  publishEvent,
+  unpublishEvent,
+  cancelEvent,
+  postponeEvent,
+  deleteEvent,
+  restoreEvent,
+} = require("../services/event-lifecycle.service");
+const { toCsvRow } = require("../utils/csv");
+const httpError = require("../utils/http-error");
+const {
+  MAX_LIMIT,
+  parsePagination,
+  sortFor,
+  cursorFilter,
+  fetchLimit,
+  paginate,
+} = require("../utils/pagination");
 
 //  parse event ID
 const parseEventId = (id) => {
@@ -28,25 +82,33 @@ const parseEventId = (id) => {
   return parsedId;
 };
 
-// add isFavorite field to events
-const addIsFavoriteField = (events, userId) => {
-  if (!userId)
-    return events.map((event) => ({ ...event.toObject(), isFavorite: false }));
+// ?sort= values for event lists
+const LIST_SORTS = {
+  date: { field: "startsAt", direction: 1 },
+  price: { field: "price", direction: 1 },
+  popularity: { field: "interestedCount", direction: -1 },
+  newest: { field: "createdAt", direction: -1 },
+};
 
-  return events.map((event) => {
-    const eventObj = event.toObject();
-    const userIdStr = userId.toString();
-    const isFavorite =
-      eventObj.interestedUsers &&
-      eventObj.interestedUsers.some((id) => id.toString() === userIdStr);
+// the listing can also rank searches and nearby events, those rankings are
+// computed per request so they can't be paged by cursor
+const EVENT_SORTS = {
+  ...LIST_SORTS,
+  relevance: { field: "score", direction: -1, cursor: false },
+  distance: { field: "distance", direction: 1, cursor: false },
+};
 
-    const { interestedUsers, ...eventWithoutUsers } = eventObj;
+// add isFavorite field to events, looked up for the whole page at once
+const addIsFavoriteField = async (events, userId) => {
+  const favorites = await favoritedEventIds(
+    userId,
+    events.map((event) => event.id)
+  );
 
-    return {
-      ...eventWithoutUsers,
-      isFavorite: !!isFavorite,
-    };
-  });
+  return events.map((event) => ({
+    ...event.toObject(),
+    isFavorite: favorites.has(event.id),
+  }));
 };
 
 // add isBooked field to events
@@ -55,7 +117,6 @@ const addIsBookedField = async (events, userId) => {
     return events.map((event) => ({ ...event, isBooked: false }));
   }
 
-  const Booking = require("../models/booking.model");
   const userBookings = await Booking.find({
     user: userId,
     status: "active",
@@ -72,23 +133,10 @@ const addIsBookedField = async (events, userId) => {
 router.post(
   "/",
   auth,
-  isAdmin,
+  requirePermission("event:create"),
   upload.single("image"),
-  [
-    body("name").notEmpty().withMessage("Event name is required"),
-    body("description").notEmpty().withMessage("Description is required"),
-    body("category").notEmpty().withMessage("Category is required"),
-    body("date").isDate().withMessage("Valid date is required"),
-    body("time")
-      .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
-      .withMessage("Valid time in HH:mm format is required"),
-    body("venue").notEmpty().withMessage("Venue is required"),
-    body("price").isNumeric().withMessage("Valid price is required"),
-    // for future updates to handle more than 1 ticket per user
-    body("totalTickets")
-      .isInt({ min: 1 })
-      .withMessage("Total tickets must be at least 1"),
-  ],
+  createEventValidators,
+  seriesValidators,
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -100,28 +148,34 @@ router.post(
         return res.status(400).json({ message: "Event image is required" });
       }
 
-      const b64 = Buffer.from(req.file.buffer).toString("base64");
-      const dataURI = `data:${req.file.mimetype};base64,${b64}`;
-      const result = await cloudinary.uploader.upload(dataURI);
-
-      const event = new Event({
-        name: req.body.name,
-        description: req.body.description,
-        category: req.body.category,
-        date: req.body.date,
-        time: req.body.time,
-        venue: req.body.venue,
-        price: req.body.price,
-        totalTickets: req.body.totalTickets,
-        image: result.secure_url,
-        availableTickets: req.body.totalTickets,
+      const venue = req.body.venueId ? await findVenue(req.body.venueId) : null;
+      const imageUrl = await uploadImage(req.file);
+
+      // a recurrence rule creates a series with one event per occurrence;
+      // status and publishAt apply to every occurrence, drafts otherwise
+      if (req.body.recurrence) {
+        const { series, events } = await createSeries(req.body, {
+          image: imageUrl,
+          createdBy: req.user._id,
+          venue,
+        });
+        return res.status(201).json({ series, events });
+      }
+
+      const event = buildEvent(req.body, {
+        image: imageUrl,
         createdBy: req.user._id,
-        tags: req.body.tags === "" ? [] : req.body.tags,
       });
+      if (venue) {
+        attachVenue(event, venue, { seating: req.body.seating });
+      }
 
       await event.save();
       res.status(201).json(event);
     } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ message: error.message });
+      }
       res
         .status(500)
         .json({ message: "Error creating event", error: error.message });
@@ -147,53 +201,142 @@ router.get(
   },
   async (req, res) => {
     try {
-      const page = parseInt(req.query.page) || 1;
-      const limit = parseInt(req.query.limit) || 10;
-      const skip = (page - 1) * limit;
+      // ?mine=true lists the caller's own events, drafts included, and
+      // ?deleted=true lets admins list deleted events to restore
+      const mine = req.query.mine === "true";
+      const deleted = req.query.deleted === "true";
+      if ((mine || deleted) && !req.user) {
+        return res.status(401).json({ message: "Please authenticate." });
+      }
+      if (deleted && !(await hasPermission(req.user, "events:restore"))) {
+        return res
+          .status(403)
+          .json({ message: "Only admins can list deleted events" });
+      }
+      const allowed =
+        mine || deleted
+          ? Event.schema.path("status").enumValues
+          : PUBLIC_STATUSES;
+      const statuses = String(req.query.status || "")
+        .split(",")
+        .map((status) => status.trim())
+        .filter(Boolean);
+      if (statuses.some((status) => !allowed.includes(status))) {
+        return res
+          .status(400)
+          .json({ message: `Status must be one of: ${allowed.join(", ")}` });
+      }
 
-      const query = {};
+      const query = {
+        status: { $in: statuses.length ? statuses : allowed },
+        deletedAt: deleted ? { $ne: null } : null,
+        ...(mine && { createdBy: req.user._id }),
+      };
 
       if (req.query.category) {
         query.category = req.query.category;
       }
+      // matched against the weighted text index, not as a pattern
       if (req.query.search) {
-        query.$or = [
-          { name: { $regex: req.query.search, $options: "i" } },
-          { description: { $regex: req.query.search, $options: "i" } },
-          { venue: { $regex: req.query.search, $options: "i" } },
-        ];
+        query.$text = { $search: String(req.query.search) };
+      }
+      const tags = parseTags(req.query.tags);
+      if (tags.length) {
+        query.tags = { $all: tags };
       }
+      const priceRange = {};
       if (req.query.minPrice) {
-        query.price = { ...query.price, $gte: parseFloat(req.query.minPrice) };
+        priceRange.$gte = parseFloat(req.query.minPrice);
       }
       if (req.query.maxPrice) {
-        query.price = { ...query.price, $lte: parseFloat(req.query.maxPrice) };
+        priceRange.$lte = parseFloat(req.query.maxPrice);
       }
-      if (req.query.date) {
-        query.date = { $gte: new Date(req.query.date) };
+      if (Object.keys(priceRange).length) {
+        // tiered events match when any of their ticket types is in range
+        query.$and = [
+          {
+            $or: [
+              { "ticketTypes.0": { $exists: false }, price: priceRange },
+              { ticketTypes: { $elemMatch: { price: priceRange } } },
+            ],
+          },
+        ];
+      }
+      // ?when=upcoming|ongoing|past, ?from= and ?to= for a date range
+      const conditions = scheduleConditions(req.query);
+      if (conditions.length) {
+        query.$and = [...(query.$and || []), ...conditions];
+      }
+
+      // ?lat=&lng=&radius= adds distances, ?bbox= limits to the map view
+      const geo = parseGeoParams(req.query);
+      if (geo.within) {
+        query.location = geo.within;
       }
 
-      const events = await Event.find(query)
-        .sort({ date: 1 })
-        .skip(skip)
-        .limit(limit)
-        .populate("createdBy", "name email");
+      // searches rank by relevance unless another sort is asked for
+      const pagination = parsePagination(req.query, {
+        sorts: EVENT_SORTS,
+        defaultSort: query.$text ? "relevance" : "date",
+        defaultOrder:
+          req.query.when === "past" && !req.query.sort ? "desc" : undefined,
+      });
+      if (pagination.sortKey === "relevance" && !query.$text) {
+        return res
+          .status(400)
+          .json({ message: "Sorting by relevance needs a search" });
+      }
+      if (pagination.sortKey === "distance" && !geo.near) {
+        return res
+          .status(400)
+          .json({ message: "Sorting by distance needs lat and lng" });
+      }
 
-      const total = await Event.countDocuments(query);
+      // ?series=collapse lists each series once instead of every occurrence
+      const { events, total, extras } = await findEvents(query, {
+        skip: pagination.skip,
+        limit: fetchLimit(pagination),
+        sort: sortFor(pagination),
+        filter: cursorFilter(pagination),
+        count: !pagination.cursorMode,
+        collapse: req.query.series === "collapse",
+        near: geo.near,
+        maxDistance: geo.maxDistance,
+      });
+      const page = paginate(events, pagination, { req, total });
 
-      const eventsWithFavorite = addIsFavoriteField(events, req.user?._id);
+      const eventsWithFavorite = await addIsFavoriteField(
+        page.items,
+        req.user?._id
+      );
       const eventsWithBookingStatus = await addIsBookedField(
         eventsWithFavorite,
         req.user?._id
       );
 
+      // facet counts come with every search, or on request with ?facets=true
+      const facets =
+        query.$text || req.query.facets === "true"
+          ? await facetCounts(query, geo)
+          : undefined;
+
       res.json({
-        events: eventsWithBookingStatus,
-        currentPage: page,
-        totalPages: Math.ceil(total / limit),
-        totalEvents: total,
+        events: eventsWithBookingStatus.map((event) => ({
+          ...event,
+          ...extras.get(event.id),
+        })),
+        ...(!pagination.cursorMode && {
+          currentPage: pagination.page,
+          totalPages: page.pagination.totalPages,
+          totalEvents: total,
+        }),
+        pagination: page.pagination,
+        ...(facets && { facets }),
       });
     } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ message: error.message });
+      }
       res.status(500).json({
         message: "Error fetching events",
         error: error.message,
@@ -204,19 +347,49 @@ router.get(
 
 router.get("/favorites", auth, async (req, res) => {
   try {
-    const events = await Event.find({ interestedUsers: req.user._id }).populate(
-      "createdBy",
-      "name email"
+    const pagination = parsePagination(req.query, {
+      sorts: LIST_SORTS,
+      defaultSort: "date",
+    });
+    const query = {
+      id: { $in: await userFavoriteEventIds(req.user._id) },
+      ...publicConditions(),
+    };
+    const filter = cursorFilter(pagination);
+
+    const events = await Event.find(filter ? { $and: [query, filter] } : query)
+      .select("-seats")
+      .sort(sortFor(pagination))
+      .skip(pagination.skip)
+      .limit(fetchLimit(pagination))
+      .populate("createdBy", "name email");
+    const total = pagination.cursorMode
+      ? undefined
+      : await Event.countDocuments(query);
+    const page = paginate(events, pagination, { req, total });
+
+    const eventsWithFavorite = await addIsFavoriteField(
+      page.items,
+      req.user._id
     );
-
-    const eventsWithFavorite = addIsFavoriteField(events, req.user._id);
     const eventsWithBookingStatus = await addIsBookedField(
       eventsWithFavorite,
       req.user._id
     );
 
-    res.json(eventsWithBookingStatus);
+    res.json({
+      events: eventsWithBookingStatus,
+      ...(!pagination.cursorMode && {
+        currentPage: pagination.page,
+        totalPages: page.pagination.totalPages,
+        totalEvents: total,
+      }),
+      pagination: page.pagination,
+    });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({
       message: "Error fetching favorite events",
       error: error.message,
@@ -224,6 +397,107 @@ router.get("/favorites", auth, async (req, res) => {
   }
 });
 
+// ?q= prefix suggestions for event names, categories and tags
+router.get("/autocomplete", async (req, res) => {
+  try {
+    const prefix = String(req.query.q || "").trim();
+    if (!prefix) {
+      return res.json({ names: [], categories: [], tags: [] });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 5, 1), 10);
+    res.json(await autocomplete(prefix.slice(0, 100), limit));
+  } catch (error) {
+    res.status(500).json({
+      message: "Error fetching suggestions",
+      error: error.message,
+    });
+  }
+});
+
+// "for you" feed, falls back to popular events for anonymous visitors
+router.get(
+  "/recommended",
+  async (req, res, next) => {
+    auth(
+      req,
+      res,
+      (err) => {
+        if (err) {
+          req.user = null;
+        }
+        next();
+      },
+      true
+    );
+  },
+  async (req, res) => {
+    try {
+      const limit = Math.min(
+        Math.max(parseInt(req.query.limit) || 10, 1),
+        MAX_LIMIT
+      );
+      const { personalized, recommendations } = await recommendEvents(
+        req.user?._id,
+        { limit }
+      );
+
+      const eventsWithFavorite = await addIsFavoriteField(
+        recommendations.map(({ event }) => event),
+        req.user?._id
+      );
+      const eventsWithBookingStatus = await addIsBookedField(
+        eventsWithFavorite,
+        req.user?._id
+      );
+
+      res.json({
+        personalized,
+        events: eventsWithBookingStatus.map((event, i) => ({
+          ...event,
+          recommendation: {
+            score: recommendations[i].score,
+            reasons: recommendations[i].reasons,
+          },
+        })),
+      });
+    } catch (error) {
+      res.status(500).json({
+        message: "Error fetching recommendations",
+        error: error.message,
+      });
+    }
+  }
+);
+
+router.get("/series/:seriesId", async (req, res) => {
+  try {
+    const seriesId = parseInt(req.params.seriesId);
+    if (isNaN(seriesId)) {
+      return res.status(400).json({ message: "Invalid series ID" });
+    }
+
+    const series = await EventSeries.findOne({ id: seriesId });
+    if (!series) {
+      return res.status(404).json({ message: "Series not found" });
+    }
+
+    const occurrences = await Event.find({
+      series: seriesId,
+      ...publicConditions(),
+    })
+      .select("-seats")
+      .sort({ startsAt: 1 });
+
+    res.json({ ...series.toObject(), occurrences });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error fetching series",
+      error: error.message,
+    });
+  }
+});
+
 router.get(
   "/:id",
   async (req, res, next) => {
@@ -243,21 +517,24 @@ router.get(
   async (req, res) => {
     try {
       const eventId = parseEventId(req.params.id);
-      const event = await Event.findOne({ id: eventId }).populate(
-        "createdBy",
-        "name email"
-      );
+      const event = await Event.findOne({ id: eventId }).select("-seats");
 
-      if (!event) {
+      // drafts look like missing events to anyone but their organizers
+      if (!event || !(await canViewEvent(event, req.user))) {
         return res.status(404).json({ message: "Event not found" });
       }
+      await event.populate("createdBy", "name email");
 
-      const eventWithFavorite = addIsFavoriteField([event], req.user?._id)[0];
+      const [eventWithFavorite] = await addIsFavoriteField(
+        [event],
+        req.user?._id
+      );
       const eventWithBookingStatus = (
         await addIsBookedField([eventWithFavorite], req.user?._id)
       )[0];
+      const ticketCounts = await getTicketCounts(event.id);
 
-      res.json(eventWithBookingStatus);
+      res.json({ ...eventWithBookingStatus, ...ticketCounts });
     } catch (error) {
       if (error.message === "Invalid event ID") {
         return res.status(400).json({ message: error.message });
@@ -270,147 +547,440 @@ router.get(
   }
 );
 
-router.put("/:id", auth, isAdmin, upload.single("image"), async (req, res) => {
-  try {
-    const eventId = parseEventId(req.params.id);
-    const event = await Event.findOne({ id: eventId });
+router.put(
+  "/:id",
+  auth,
+  requirePermission("event:update", { eventFrom: eventFromParams }),
+  upload.single("image"),
+  async (req, res) => {
+    try {
+      const eventId = parseEventId(req.params.id);
+      const event = await Event.findOne({ id: eventId });
 
-    if (!event) {
-      return res.status(404).json({ message: "Event not found" });
-    }
+      if (!event) {
+        return res.status(404).json({ message: "Event not found" });
+      }
+      if (["cancelled", "completed"].includes(event.status)) {
+        return res
+          .status(400)
+          .json({ message: `A ${event.status} event can't be edited` });
+      }
 
-    const updates = { ...req.body };
+      // general-admission events can move venue, seat maps can't be swapped
+      if (req.body.venueId !== undefined) {
+        if (event.seating === "reserved") {
+          return res.status(400).json({
+            message: "Reserved-seating events can't change venue",
+          });
+        }
+        const venue = await findVenue(req.body.venueId);
+        event.venue = undefined;
+        attachVenue(event, venue);
+      }
 
-    if (updates.totalTickets) {
-      const oldTotalTickets = event.totalTickets;
-      const newTotalTickets = parseInt(updates.totalTickets);
-      const ticketsDifference = newTotalTickets - oldTotalTickets;
-      updates.availableTickets = event.availableTickets + ticketsDifference;
+      const image = req.file ? await uploadImage(req.file) : undefined;
+
+      // ?scope=future edits this occurrence and every later one in its series
+      if (req.query.scope === "future" && event.series) {
+        const { events, grown, failed } = await updateFutureOccurrences(
+          event,
+          req.body,
+          { image, user: req.user }
+        );
+        for (const id of grown) {
+          await promoteWaitlist(id);
+        }
+        // the occurrences saved keep the edit, the rest are listed
+        if (failed.length) {
+          return res.status(207).json({
+            message: "Some occurrences could not be updated",
+            events,
+            failed,
+          });
+        }
+        return res.json(events);
+      }
 
-      if (updates.availableTickets < 0) {
-        return res.status(400).json({
-          message:
-            "Cannot reduce total tickets below the number of tickets already booked",
-        });
+      const previousAvailable = event.availableTickets;
+      applyEventUpdate(event, req.body, { image });
+      const saved = await saveEventUpdate(event);
+
+      // offer the extra capacity to anyone on the waitlist
+      if (saved.availableTickets > previousAvailable) {
+        await promoteWaitlist(saved.id);
       }
+
+      res.json(saved);
+    } catch (error) {
+      if (error.message === "Invalid event ID") {
+        return res.status(400).json({ message: error.message });
+      }
+      if (error.status) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      res.status(500).json({
+        message: "Error updating event",
+        error: error.message,
+      });
     }
+  }
+);
 
-    if (updates.tags !== undefined) {
-      if (updates.tags === "") {
-        updates.tags = [];
+// soft delete, bookings keep pointing at the event and admins can restore it
+router.delete(
+  "/:id",
+  auth,
+  requirePermission("event:delete", { eventFrom: eventFromParams }),
+  async (req, res) => {
+    try {
+      parseEventId(req.params.id);
+      await deleteEvent(req.event, req.user);
+
+      res.json({ message: "Event deleted successfully" });
+    } catch (error) {
+      if (error.message === "Invalid event ID") {
+        return res.status(400).json({ message: error.message });
+      }
+      if (error.status) {
+        return res.status(error.status).json({ message: error.message });
       }
+      res.status(500).json({
+        message: "Error deleting event",
+        error: error.message,
+      });
     }
+  }
+);
 
-    if (req.file) {
-      const b64 = Buffer.from(req.file.buffer).toString("base64");
-      const dataURI = `data:${req.file.mimetype};base64,${b64}`;
-      const result = await cloudinary.uploader.upload(dataURI);
-      updates.image = result.secure_url;
-    } else {
-      // Keep the existing image
-      updates.image = event.image;
+// lifecycle changes share their error handling
+const lifecycleHandler = (action, errorMessage) => async (req, res) => {
+  try {
+    parseEventId(req.params.id);
+    res.json(await action(req, res));
+  } catch (error) {
+    if (error.message === "Invalid event ID") {
+      return res.status(400).json({ message: error.message });
     }
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: errorMessage, error: error.message });
+  }
+};
+
+// goes live now, or later with a future publishAt
+router.put(
+  "/:id/publish",
+  auth,
+  requirePermission("event:publish", { eventFrom: eventFromParams }),
+  lifecycleHandler(
+    (req) => publishEvent(req.event, { publishAt: req.body.publishAt }),
+    "Error publishing event"
+  )
+);
+
+router.put(
+  "/:id/unpublish",
+  auth,
+  requirePermission("event:publish", { eventFrom: eventFromParams }),
+  lifecycleHandler(
+    (req) => unpublishEvent(req.event),
+    "Error unpublishing event"
+  )
+);
 
-    Object.assign(event, updates);
-    await event.save();
+// cancels the event; its bookings are cancelled, refunded and their holders
+// told in the background, follow it in the event's cancellation field
+router.put(
+  "/:id/cancel",
+  auth,
+  requirePermission("event:cancel", { eventFrom: eventFromParams }),
+  lifecycleHandler(async (req, res) => {
+    const result = await cancelEvent(req.event, { reason: req.body.reason });
+    res.status(202);
+    return result;
+  }, "Error cancelling event")
+);
+
+// takes the new startsAt (or date and time), bookings stay valid
+router.put(
+  "/:id/postpone",
+  auth,
+  requirePermission("event:update", { eventFrom: eventFromParams }),
+  lifecycleHandler(
+    (req) => postponeEvent(req.event, req.body, { reason: req.body.reason }),
+    "Error postponing event"
+  )
+);
 
-    res.json(event);
+router.put(
+  "/:id/restore",
+  auth,
+  requirePermission("events:restore"),
+  lifecycleHandler(async (req) => {
+    const event = await Event.findOne({ id: parseEventId(req.params.id) });
+    if (!event) {
+      throw httpError(404, "Event not found");
+    }
+    return restoreEvent(event);
+  }, "Error restoring event")
+);
+
+// adding or removing a favorite twice is harmless, the response says
+// whether anything changed
+router.post("/:id/favorite", auth, async (req, res) => {
+  try {
+    const eventId = parseEventId(req.params.id);
+    if (!(await Event.exists({ id: eventId, ...publicConditions() }))) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+
+    const { added, interestedCount } = await addFavorite(
+      req.user._id,
+      eventId
+    );
+
+    res.json({
+      message: added
+        ? "Event added to favorites"
+        : "Event already in favorites",
+      isFavorite: true,
+      interestedCount,
+    });
   } catch (error) {
     if (error.message === "Invalid event ID") {
       return res.status(400).json({ message: error.message });
     }
     res.status(500).json({
-      message: "Error updating event",
+      message: "Error adding event to favorites",
       error: error.message,
     });
   }
 });
 
-router.delete("/:id", auth, isAdmin, async (req, res) => {
+router.delete("/:id/favorite", auth, async (req, res) => {
   try {
     const eventId = parseEventId(req.params.id);
-    const event = await Event.findOneAndDelete({ id: eventId });
-
-    if (!event) {
+    if (!(await Event.exists({ id: eventId }))) {
       return res.status(404).json({ message: "Event not found" });
     }
 
-    res.json({ message: "Event deleted successfully" });
+    const { removed, interestedCount } = await removeFavorite(
+      req.user._id,
+      eventId
+    );
+
+    res.json({
+      message: removed
+        ? "Event removed from favorites"
+        : "Event not in favorites",
+      isFavorite: false,
+      interestedCount,
+    });
   } catch (error) {
     if (error.message === "Invalid event ID") {
       return res.status(400).json({ message: error.message });
     }
     res.status(500).json({
-      message: "Error deleting event",
+      message: "Error removing event from favorites",
       error: error.message,
     });
   }
 });
 
-router.post("/:id/favorite", auth, async (req, res) => {
+// seat availability map for reserved-seating events
+router.get("/:id/seats", async (req, res) => {
   try {
     const eventId = parseEventId(req.params.id);
-    const event = await Event.findOne({ id: eventId });
+    const event = await Event.findOne({
+      id: eventId,
+      ...publicConditions(),
+    }).select("id seating seats");
 
     if (!event) {
       return res.status(404).json({ message: "Event not found" });
     }
-
-    if (event.interestedUsers.includes(req.user._id)) {
-      return res.status(400).json({ message: "Event already in favorites" });
+    if (event.seating !== "reserved") {
+      return res
+        .status(400)
+        .json({ message: "This event doesn't have reserved seating" });
     }
 
-    event.interestedUsers.push(req.user._id);
-    event.interestedCount += 1;
-    await event.save();
-
-    res.json({
-      message: "Event added to favorites",
-      interestedCount: event.interestedCount,
-    });
+    res.json(seatAvailability(event));
   } catch (error) {
     if (error.message === "Invalid event ID") {
       return res.status(400).json({ message: error.message });
     }
     res.status(500).json({
-      message: "Error adding event to favorites",
+      message: "Error fetching seats",
       error: error.message,
     });
   }
 });
 
-router.delete("/:id/favorite", auth, async (req, res) => {
+router.get("/:id/calendar.ics", async (req, res) => {
   try {
     const eventId = parseEventId(req.params.id);
-    const event = await Event.findOne({ id: eventId });
+    const event = await Event.findOne({ id: eventId, ...publicConditions() });
 
     if (!event) {
       return res.status(404).json({ message: "Event not found" });
     }
 
-    if (!event.interestedUsers.includes(req.user._id)) {
-      return res.status(400).json({ message: "Event not in favorites" });
-    }
-
-    event.interestedUsers = event.interestedUsers.filter(
-      (userId) => userId.toString() !== req.user._id.toString()
-    );
-    event.interestedCount -= 1;
-    await event.save();
-
-    res.json({
-      message: "Event removed from favorites",
-      interestedCount: event.interestedCount,
-    });
+    res.type("text/calendar");
+    res.attachment(`event-${event.id}.ics`);
+    res.send(buildCalendar([{ event }], { name: event.name }));
   } catch (error) {
     if (error.message === "Invalid event ID") {
       return res.status(400).json({ message: error.message });
     }
     res.status(500).json({
-      message: "Error removing event from favorites",
+      message: "Error exporting event",
       error: error.message,
     });
   }
 });
 
+// streamed from a cursor so large events don't sit in memory
+router.get(
+  "/:id/attendees.csv",
+  auth,
+  requirePermission("event:view-attendance", { eventFrom: eventFromParams }),
+  async (req, res) => {
+    try {
+      const cursor = Booking.find({ event: req.event.id, status: "active" })
+        .sort({ bookingDate: 1 })
+        .populate("user", "name email")
+        .cursor();
+
+      res.type("text/csv");
+      res.attachment(`event-${req.event.id}-attendees.csv`);
+      res.write(
+        toCsvRow([
+          "Booking ID",
+          "Name",
+          "Email",
+          "Quantity",
+          "Ticket Types",
+          "Total Price",
+          "Currency",
+          "Booked At",
+        ])
+      );
+
+      for await (const booking of cursor) {
+        const row = toCsvRow([
+          booking.id,
+          booking.user?.name,
+          booking.user?.email,
+          booking.quantity,
+          booking.items.map((item) => `${item.quantity}x ${item.name}`).join("; "),
+          booking.totalPrice,
+          req.event.currency,
+          booking.bookingDate,
+        ]);
+        if (!res.write(row)) {
+          await once(res, "drain");
+        }
+      }
+      res.end();
+    } catch (error) {
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+      res.status(500).json({
+        message: "Error exporting attendees",
+        error: error.message,
+      });
+    }
+  }
+);
+
+router.get(
+  "/:id/members",
+  auth,
+  requirePermission("event:manage-members", { eventFrom: eventFromParams }),
+  async (req, res) => {
+    try {
+      const members = await EventMember.find({ event: req.event.id }).populate(
+        "user",
+        "name email"
+      );
+      res.json(members);
+    } catch (error) {
+      res.status(500).json({
+        message: "Error fetching event members",
+        error: error.message,
+      });
+    }
+  }
+);
+
+router.post(
+  "/:id/members",
+  auth,
+  requirePermission("event:manage-members", { eventFrom: eventFromParams }),
+  [
+    body("email").isEmail().withMessage("Please enter a valid email"),
+    body("role")
+      .isIn(["co-organizer", "staff"])
+      .withMessage("Role must be co-organizer or staff"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = await User.findOne({ email: req.body.email.toLowerCase() });
+      if (!user) {
+        return res.status(404).json({ message: "User not found" });
+      }
+
+      const member = await EventMember.findOneAndUpdate(
+        { event: req.event.id, user: user._id },
+        { role: req.body.role, invitedBy: req.user._id },
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+      );
+
+      res.status(201).json(member);
+    } catch (error) {
+      res.status(500).json({
+        message: "Error adding event member",
+        error: error.message,
+      });
+    }
+  }
+);
+
+router.delete(
+  "/:id/members/:userId",
+  auth,
+  requirePermission("event:manage-members", { eventFrom: eventFromParams }),
+  async (req, res) => {
+    try {
+      if (!Types.ObjectId.isValid(req.params.userId)) {
+        return res.status(400).json({ message: "Invalid user ID" });
+      }
+
+      const member = await EventMember.findOneAndDelete({
+        event: req.event.id,
+        user: req.params.userId,
+      });
+
+      if (!member) {
+        return res.status(404).json({ message: "Event member not found" });
+      }
+
+      res.json({ message: "Event member removed successfully" });
+    } catch (error) {
+      res.status(500).json({
+        message: "Error removing event member",
+        error: error.message,
+      });
+    }
+  }
+);
+
 module.exports = router;
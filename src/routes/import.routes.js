@@ -0,0 +1,143 @@
+const express = require("express");
+const router = express.Router();
+const { auth } = require("../middleware/auth.middleware");
+const { requirePermission } = require("../middleware/permission.middleware");
+const ImportJob = require("../models/import-job.model");
+const { upload } = require("../services/image.service");
+const {
+  createImportJob,
+  resumeImportJob,
+} = require("../services/event-import.service");
+
+// parse import job ID
+const parseJobId = (id) => {
+  const parsedId = parseInt(id);
+  if (isNaN(parsedId)) {
+    throw new Error("Invalid import job ID");
+  }
+  return parsedId;
+};
+
+// format from ?format=, then the uploaded file's name or type
+const detectFormat = (req) => {
+  if (["csv", "json"].includes(req.query.format)) return req.query.format;
+  if (!req.file) return "json";
+  const { originalname = "", mimetype = "" } = req.file;
+  return originalname.toLowerCase().endsWith(".csv") || mimetype.includes("csv")
+    ? "csv"
+    : "json";
+};
+
+// the job without its stored rows, which can be large
+const toSummary = (job) => {
+  const { rows, ...summary } = job.toObject();
+  return summary;
+};
+
+// Routers
+// rows take the create route's fields, so each is a draft unless it has
+// status "published" or a publishAt
+router.post(
+  "/",
+  auth,
+  requirePermission("events:import"),
+  upload.single("file"),
+  async (req, res) => {
+    try {
+      const format = detectFormat(req);
+      const job = await createImportJob({
+        format,
+        content: req.file ? req.file.buffer.toString("utf8") : req.body,
+        dryRun: req.query.dryRun === "true",
+        createdBy: req.user._id,
+      });
+
+      res.status(job.dryRun ? 200 : 202).json(toSummary(job));
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      res
+        .status(500)
+        .json({ message: "Error importing events", error: error.message });
+    }
+  }
+);
+
+router.get("/", auth, requirePermission("events:import"), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+
+    const jobs = await ImportJob.find()
+      .select("-rows -results")
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+    const total = await ImportJob.countDocuments();
+
+    res.json({
+      jobs,
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalJobs: total,
+    });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Error fetching import jobs", error: error.message });
+  }
+});
+
+router.get(
+  "/:id",
+  auth,
+  requirePermission("events:import"),
+  async (req, res) => {
+    try {
+      const job = await ImportJob.findOne({ id: parseJobId(req.params.id) });
+      if (!job) {
+        return res.status(404).json({ message: "Import job not found" });
+      }
+
+      res.json(toSummary(job));
+    } catch (error) {
+      if (error.message === "Invalid import job ID") {
+        return res.status(400).json({ message: error.message });
+      }
+      res
+        .status(500)
+        .json({ message: "Error fetching import job", error: error.message });
+    }
+  }
+);
+
+// picks a failed job back up from its last completed batch
+router.post(
+  "/:id/resume",
+  auth,
+  requirePermission("events:import"),
+  async (req, res) => {
+    try {
+      const job = await ImportJob.findOne({ id: parseJobId(req.params.id) });
+      if (!job) {
+        return res.status(404).json({ message: "Import job not found" });
+      }
+
+      await resumeImportJob(job);
+      res.status(202).json(toSummary(job));
+    } catch (error) {
+      if (error.message === "Invalid import job ID") {
+        return res.status(400).json({ message: error.message });
+      }
+      if (error.status) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      res
+        .status(500)
+        .json({ message: "Error resuming import job", error: error.message });
+    }
+  }
+);
+
+module.exports = router;
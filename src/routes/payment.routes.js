@@ -0,0 +1,26 @@
+const express = require("express");
+const router = express.Router();
+const {
+  verifyWebhook,
+  handleWebhookEvent,
+} = require("../services/payment.service");
+
+router.post("/webhook", async (req, res) => {
+  let event;
+  try {
+    event = verifyWebhook(req.rawBody, req.header("X-Payment-Signature"));
+  } catch (error) {
+    return res.status(400).json({ message: "Invalid webhook signature" });
+  }
+
+  try {
+    const booking = await handleWebhookEvent(event);
+    res.json({ received: true, bookingId: booking ? booking.id : null });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Error processing webhook", error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,197 @@
+const express = require("express");
+const router = express.Router();
+const { body, validationResult } = require("express-validator");
+const { auth, isAdmin } = require("../middleware/auth.middleware");
+const PromoCode = require("../models/promo-code.model");
+
+// parse promo code ID
+const parsePromoId = (id) => {
+  const parsedId = parseInt(id);
+  if (isNaN(parsedId)) {
+    throw new Error("Invalid promo code ID");
+  }
+  return parsedId;
+};
+
+const EDITABLE_FIELDS = [
+  "code",
+  "discountType",
+  "amount",
+  "maxUses",
+  "maxUsesPerUser",
+  "validFrom",
+  "validUntil",
+  "events",
+  "categories",
+  "active",
+];
+
+const pickPromoFields = (source) =>
+  Object.fromEntries(
+    EDITABLE_FIELDS.filter((field) => source[field] !== undefined).map(
+      (field) => [field, source[field]]
+    )
+  );
+
+// optional() lets the same rules serve partial updates
+const promoValidators = (partial) => {
+  const field = (name) => (partial ? body(name).optional() : body(name));
+  return [
+    field("code").notEmpty().withMessage("Code is required"),
+    field("discountType")
+      .isIn(["percentage", "fixed"])
+      .withMessage("Discount type must be percentage or fixed"),
+    field("amount")
+      .isFloat({ min: 0 })
+      .withMessage("Amount must be a positive number")
+      .custom((value, { req }) => {
+        if (req.body.discountType === "percentage" && value > 100) {
+          throw new Error("Percentage discount cannot exceed 100");
+        }
+        return true;
+      }),
+    body("maxUses").optional({ values: "null" }).isInt({ min: 1 }),
+    body("maxUsesPerUser").optional({ values: "null" }).isInt({ min: 1 }),
+    body("validFrom").optional({ values: "null" }).isISO8601(),
+    body("validUntil").optional({ values: "null" }).isISO8601(),
+    body("events").optional().isArray(),
+    body("events.*").isInt().withMessage("Event IDs must be numbers"),
+    body("categories").optional().isArray(),
+    body("active").optional().isBoolean(),
+  ];
+};
+
+// Routers
+router.post("/", auth, isAdmin, promoValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const existing = await PromoCode.findOne({
+      code: req.body.code.trim().toUpperCase(),
+    });
+    if (existing) {
+      return res.status(400).json({ message: "Promo code already exists" });
+    }
+
+    const promo = new PromoCode({
+      ...pickPromoFields(req.body),
+      createdBy: req.user._id,
+    });
+    await promo.save();
+
+    res.status(201).json(promo);
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Error creating promo code", error: error.message });
+  }
+});
+
+router.get("/", auth, isAdmin, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (req.query.active !== undefined) {
+      query.active = req.query.active === "true";
+    }
+
+    const promoCodes = await PromoCode.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await PromoCode.countDocuments(query);
+
+    res.json({
+      promoCodes,
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalPromoCodes: total,
+    });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Error fetching promo codes", error: error.message });
+  }
+});
+
+router.get("/:id", auth, isAdmin, async (req, res) => {
+  try {
+    const promo = await PromoCode.findOne({ id: parsePromoId(req.params.id) });
+
+    if (!promo) {
+      return res.status(404).json({ message: "Promo code not found" });
+    }
+
+    res.json(promo);
+  } catch (error) {
+    if (error.message === "Invalid promo code ID") {
+      return res.status(400).json({ message: error.message });
+    }
+    res
+      .status(500)
+      .json({ message: "Error fetching promo code", error: error.message });
+  }
+});
+
+router.put("/:id", auth, isAdmin, promoValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const promo = await PromoCode.findOne({ id: parsePromoId(req.params.id) });
+
+    if (!promo) {
+      return res.status(404).json({ message: "Promo code not found" });
+    }
+
+    Object.assign(promo, pickPromoFields(req.body));
+    // a partial update may change only the amount or only the type
+    if (promo.discountType === "percentage" && promo.amount > 100) {
+      return res
+        .status(400)
+        .json({ message: "Percentage discount cannot exceed 100" });
+    }
+    await promo.save();
+
+    res.json(promo);
+  } catch (error) {
+    if (error.message === "Invalid promo code ID") {
+      return res.status(400).json({ message: error.message });
+    }
+    res
+      .status(500)
+      .json({ message: "Error updating promo code", error: error.message });
+  }
+});
+
+router.delete("/:id", auth, isAdmin, async (req, res) => {
+  try {
+    const promo = await PromoCode.findOneAndDelete({
+      id: parsePromoId(req.params.id),
+    });
+
+    if (!promo) {
+      return res.status(404).json({ message: "Promo code not found" });
+    }
+
+    res.json({ message: "Promo code deleted successfully" });
+  } catch (error) {
+    if (error.message === "Invalid promo code ID") {
+      return res.status(400).json({ message: error.message });
+    }
+    res
+      .status(500)
+      .json({ message: "Error deleting promo code", error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,54 @@
 const express = require("express");
 const router = express.Router();
+const { body, validationResult } = require("express-validator");
 const { auth } = require("../middleware/auth.middleware");
+const { requirePermission } = require("../middleware/permission.middleware");
 const User = require("../models/user.model");
+const Booking = require("../models/booking.model");
+const Event = require("../models/event.model");
+const { upload, uploadImage } = require("../services/image.service");
+const {
+  startSession,
+  revokeAllSessions,
+} = require("../services/session.service");
+const { sendVerificationEmail } = require("../services/account-token.service");
+const {
+  exportUserData,
+  requestDeletion,
+  cancelDeletion,
+  deleteAccount,
+} = require("../services/account.service");
+const {
+  buildUserCalendar,
+  createFeedToken,
+  hashFeedToken,
+} = require("../services/calendar.service");
+const escapeRegex = require("../utils/escape-regex");
+const {
+  parsePagination,
+  sortFor,
+  cursorFilter,
+  fetchLimit,
+  paginate,
+} = require("../utils/pagination");
+
+const USER_SORTS = {
+  newest: { field: "createdAt", direction: -1 },
+};
+const BOOKING_SORTS = {
+  newest: { field: "bookingDate", direction: -1 },
+};
+
+// parse user ID
+const parseUserId = (id) => {
+  const parsedId = parseInt(id);
+  if (isNaN(parsedId)) {
+    throw new Error("Invalid user ID");
+  }
+  return parsedId;
+};
+
+const adminOnly = requirePermission("users:manage");
 
 // Get user profile
 router.get("/profile", auth, async (req, res) => {
@@ -15,4 +62,511 @@ router.get("/profile", auth, async (req, res) => {
   }
 });
 
+router.put(
+  "/profile",
+  auth,
+  [
+    body("name").optional().notEmpty().withMessage("Name cannot be empty"),
+    body("email").optional().isEmail().withMessage("Please enter a valid email"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = req.user;
+      if (req.body.name !== undefined) {
+        user.name = req.body.name;
+      }
+
+      const email = req.body.email?.trim().toLowerCase();
+      const emailChanged = email && email !== user.email;
+      if (emailChanged) {
+        const taken = await User.exists({ email });
+        if (taken) {
+          return res.status(400).json({ message: "Email is already in use" });
+        }
+        user.email = email;
+        user.emailVerified = false;
+        user.emailVerifiedAt = undefined;
+      }
+
+      await user.save();
+
+      if (emailChanged) {
+        sendVerificationEmail(user).catch((err) =>
+          console.error("Error sending verification email:", err)
+        );
+      }
+
+      const { password, ...profile } = user.toObject();
+      res.json(profile);
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error updating profile", error: error.message });
+    }
+  }
+);
+
+router.get("/profile/export", auth, async (req, res) => {
+  try {
+    const data = await exportUserData(req.user);
+
+    res.attachment(`eventora-export-${req.user.id}.json`);
+    res.type("application/json");
+    res.send(JSON.stringify(data, null, 2));
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Error exporting data", error: error.message });
+  }
+});
+
+router.get("/profile/calendar.ics", auth, async (req, res) => {
+  try {
+    res.type("text/calendar");
+    res.attachment("my-bookings.ics");
+    res.send(await buildUserCalendar(req.user));
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Error exporting calendar", error: error.message });
+  }
+});
+
+// a new feed URL replaces the old one, so this also rotates it
+router.post("/profile/calendar-feed", auth, async (req, res) => {
+  try {
+    const token = createFeedToken();
+    await User.updateOne(
+      { _id: req.user._id },
+      { calendarFeedTokenHash: hashFeedToken(token) }
+    );
+
+    const baseUrl = process.env.API_URL || `${req.protocol}://${req.get("host")}`;
+    res.status(201).json({ url: `${baseUrl}/api/calendar/feed/${token}.ics` });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error creating calendar feed",
+      error: error.message,
+    });
+  }
+});
+
+router.delete("/profile/calendar-feed", auth, async (req, res) => {
+  try {
+    await User.updateOne(
+      { _id: req.user._id },
+      { $unset: { calendarFeedTokenHash: 1 } }
+    );
+    res.json({ message: "Calendar feed revoked" });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error revoking calendar feed",
+      error: error.message,
+    });
+  }
+});
+
+// the account is removed once the cooling-off period has passed
+router.post("/profile/deletion", auth, async (req, res) => {
+  try {
+    if (req.user.deletionScheduledFor) {
+      return res
+        .status(400)
+        .json({ message: "Account deletion is already scheduled" });
+    }
+
+    await requestDeletion(req.user);
+
+    res.json({
+      message: "Account deletion scheduled",
+      deletionScheduledFor: req.user.deletionScheduledFor,
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error requesting account deletion",
+      error: error.message,
+    });
+  }
+});
+
+router.delete("/profile/deletion", auth, async (req, res) => {
+  try {
+    if (!req.user.deletionScheduledFor) {
+      return res
+        .status(400)
+        .json({ message: "No account deletion is scheduled" });
+    }
+
+    await cancelDeletion(req.user);
+
+    res.json({ message: "Account deletion cancelled" });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error cancelling account deletion",
+      error: error.message,
+    });
+  }
+});
+
+router.put(
+  "/profile/image",
+  auth,
+  upload.single("image"),
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({ message: "Profile image is required" });
+      }
+
+      req.user.profileImage = await uploadImage(req.file);
+      await req.user.save();
+
+      res.json({ profileImage: req.user.profileImage });
+    } catch (error) {
+      res.status(500).json({
+        message: "Error uploading profile image",
+        error: error.message,
+      });
+    }
+  }
+);
+
+router.put(
+  "/password",
+  auth,
+  [
+    body("currentPassword")
+      .notEmpty()
+      .withMessage("Current password is required"),
+    body("newPassword")
+      .isLength({ min: 8 })
+      .withMessage("Password must be at least 8 characters long"),
+    body("confirmPassword").custom((value, { req }) => {
+      if (value !== req.body.newPassword) {
+        throw new Error("Password confirmation does not match password");
+      }
+      return true;
+    }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const isMatch = await req.user.comparePassword(req.body.currentPassword);
+      if (!isMatch) {
+        return res
+          .status(400)
+          .json({ message: "Current password is incorrect" });
+      }
+
+      // saving ends every session, this one included, so hand out a fresh one
+      req.user.password = req.body.newPassword;
+      await req.user.save();
+      const tokens = await startSession(req.user, {
+        userAgent: req.get("User-Agent"),
+        ip: req.ip,
+      });
+
+      res.json({ message: "Password changed successfully", ...tokens });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error changing password", error: error.message });
+    }
+  }
+);
+
+// Admin routes
+router.get("/", auth, adminOnly, async (req, res) => {
+  try {
+    const pagination = parsePagination(req.query, {
+      sorts: USER_SORTS,
+      defaultSort: "newest",
+    });
+
+    const query = {};
+    if (req.query.search) {
+      const pattern = {
+        $regex: escapeRegex(String(req.query.search)),
+        $options: "i",
+      };
+      query.$or = [{ name: pattern }, { email: pattern }];
+    }
+    if (req.query.role) {
+      const roles = User.schema.path("role").enumValues;
+      if (!roles.includes(req.query.role)) {
+        return res
+          .status(400)
+          .json({ message: `Role must be one of: ${roles.join(", ")}` });
+      }
+      query.role = req.query.role;
+    }
+    if (req.query.suspended === "true") {
+      query.suspendedAt = { $exists: true };
+    } else if (req.query.suspended === "false") {
+      query.suspendedAt = { $exists: false };
+    }
+    const filter = cursorFilter(pagination);
+
+    const users = await User.find(filter ? { $and: [query, filter] } : query)
+      .select("-password")
+      .sort(sortFor(pagination))
+      .skip(pagination.skip)
+      .limit(fetchLimit(pagination));
+    const total = pagination.cursorMode
+      ? undefined
+      : await User.countDocuments(query);
+    const page = paginate(users, pagination, { req, total });
+
+    res.json({
+      users: page.items,
+      ...(!pagination.cursorMode && {
+        currentPage: pagination.page,
+        totalPages: page.pagination.totalPages,
+        totalUsers: total,
+      }),
+      pagination: page.pagination,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res
+      .status(500)
+      .json({ message: "Error fetching users", error: error.message });
+  }
+});
+
+router.get("/:id", auth, adminOnly, async (req, res) => {
+  try {
+    const user = await User.findOne({ id: parseUserId(req.params.id) }).select(
+      "-password"
+    );
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    res.json(user);
+  } catch (error) {
+    if (error.message === "Invalid user ID") {
+      return res.status(400).json({ message: error.message });
+    }
+    res
+      .status(500)
+      .json({ message: "Error fetching user", error: error.message });
+  }
+});
+
+router.get("/:id/bookings", auth, adminOnly, async (req, res) => {
+  try {
+    const user = await User.findOne({ id: parseUserId(req.params.id) });
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const pagination = parsePagination(req.query, {
+      sorts: BOOKING_SORTS,
+      defaultSort: "newest",
+    });
+    const query = { user: user._id };
+    const filter = cursorFilter(pagination);
+
+    const rows = await Booking.find(filter ? { $and: [query, filter] } : query)
+      .sort(sortFor(pagination))
+      .skip(pagination.skip)
+      .limit(fetchLimit(pagination));
+    const total = pagination.cursorMode
+      ? undefined
+      : await Booking.countDocuments(query);
+    const page = paginate(rows, pagination, { req, total });
+    const bookings = page.items;
+
+    const events = await Event.find({
+      id: { $in: bookings.map((booking) => booking.event) },
+    }).select(
+      "id name date startsAt endsAt timezone venue image category price status"
+    );
+    const eventsById = new Map(events.map((event) => [event.id, event]));
+
+    res.json({
+      bookings: bookings.map((booking) => ({
+        ...booking.toObject(),
+        event: eventsById.get(booking.event) || null,
+      })),
+      ...(!pagination.cursorMode && {
+        currentPage: pagination.page,
+        totalPages: page.pagination.totalPages,
+        totalBookings: total,
+      }),
+      pagination: page.pagination,
+    });
+  } catch (error) {
+    if (error.message === "Invalid user ID") {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res
+      .status(500)
+      .json({ message: "Error fetching bookings", error: error.message });
+  }
+});
+
+router.put(
+  "/:id/suspend",
+  auth,
+  adminOnly,
+  [
+    body("reason").optional().isString(),
+    body("until").optional().isISO8601().withMessage("Invalid date"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const userId = parseUserId(req.params.id);
+      if (userId === req.user.id) {
+        return res
+          .status(400)
+          .json({ message: "You cannot suspend your own account" });
+      }
+
+      const user = await User.findOneAndUpdate(
+        { id: userId },
+        {
+          suspendedAt: new Date(),
+          suspendedUntil: req.body.until,
+          suspensionReason: req.body.reason,
+        },
+        { new: true }
+      ).select("-password");
+
+      if (!user) {
+        return res.status(404).json({ message: "User not found" });
+      }
+
+      await revokeAllSessions(user._id, "suspended");
+
+      res.json(user);
+    } catch (error) {
+      if (error.message === "Invalid user ID") {
+        return res.status(400).json({ message: error.message });
+      }
+      res
+        .status(500)
+        .json({ message: "Error suspending user", error: error.message });
+    }
+  }
+);
+
+router.put("/:id/unsuspend", auth, adminOnly, async (req, res) => {
+  try {
+    const user = await User.findOneAndUpdate(
+      { id: parseUserId(req.params.id) },
+      { $unset: { suspendedAt: 1, suspendedUntil: 1, suspensionReason: 1 } },
+      { new: true }
+    ).select("-password");
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    res.json(user);
+  } catch (error) {
+    if (error.message === "Invalid user ID") {
+      return res.status(400).json({ message: error.message });
+    }
+    res
+      .status(500)
+      .json({ message: "Error unsuspending user", error: error.message });
+  }
+});
+
+router.delete("/:id", auth, adminOnly, async (req, res) => {
+  try {
+    const userId = parseUserId(req.params.id);
+    if (userId === req.user.id) {
+      return res
+        .status(400)
+        .json({ message: "You cannot delete your own account here" });
+    }
+
+    const user = await User.findOne({ id: userId });
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    await deleteAccount(user);
+
+    res.json({ message: "User deleted successfully" });
+  } catch (error) {
+    if (error.message === "Invalid user ID") {
+      return res.status(400).json({ message: error.message });
+    }
+    res
+      .status(500)
+      .json({ message: "Error deleting user", error: error.message });
+  }
+});
+
+// grant or revoke a global role, e.g. { role: "organizer" }
+router.put(
+  "/:id/role",
+  auth,
+  requirePermission("roles:manage"),
+  [
+    body("role")
+      .isIn(["user", "organizer", "admin"])
+      .withMessage("Role must be user, organizer or admin"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const userId = parseUserId(req.params.id);
+      if (userId === req.user.id && req.body.role !== "admin") {
+        return res
+          .status(400)
+          .json({ message: "You cannot remove your own admin role" });
+      }
+
+      const user = await User.findOneAndUpdate(
+        { id: userId },
+        { role: req.body.role },
+        { new: true }
+      ).select("-password");
+
+      if (!user) {
+        return res.status(404).json({ message: "User not found" });
+      }
+
+      res.json(user);
+    } catch (error) {
+      if (error.message === "Invalid user ID") {
+        return res.status(400).json({ message: error.message });
+      }
+      res
+        .status(500)
+        .json({ message: "Error updating role", error: error.message });
+    }
+  }
+);
+
 module.exports = router;
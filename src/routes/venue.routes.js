@@ -0,0 +1,290 @@
+const express = require("express");
+const router = express.Router();
+const { body, validationResult } = require("express-validator");
+const { auth } = require("../middleware/auth.middleware");
+const { requirePermission } = require("../middleware/permission.middleware");
+const Venue = require("../models/venue.model");
+const Event = require("../models/event.model");
+const {
+  normalizeSeatMap,
+  validateSeatMap,
+  countSeats,
+  toLocation,
+} = require("../services/venue.service");
+const escapeRegex = require("../utils/escape-regex");
+const httpError = require("../utils/http-error");
+const {
+  parsePagination,
+  sortFor,
+  cursorFilter,
+  fetchLimit,
+  paginate,
+} = require("../utils/pagination");
+
+// parse venue ID
+const parseVenueId = (id) => {
+  const parsedId = parseInt(id);
+  if (isNaN(parsedId)) {
+    throw new Error("Invalid venue ID");
+  }
+  return parsedId;
+};
+
+// ?sort= values for the venue list
+const VENUE_SORTS = {
+  name: { field: "name", direction: 1 },
+  newest: { field: "createdAt", direction: -1 },
+};
+
+// organizers can only change the venues they created
+const canManage = (user, venue) =>
+  user.role === "admin" || venue.createdBy.toString() === user._id.toString();
+
+const ADDRESS_FIELDS = [
+  "line1",
+  "line2",
+  "city",
+  "region",
+  "postalCode",
+  "country",
+];
+
+const venueValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field("name").notEmpty().withMessage("Venue name is required"),
+    field("address.line1").notEmpty().withMessage("Address is required"),
+    field("address.city").notEmpty().withMessage("City is required"),
+    field("address.country").notEmpty().withMessage("Country is required"),
+    body("capacity")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Capacity must be at least 1"),
+    body("latitude")
+      .optional()
+      .isFloat({ min: -90, max: 90 })
+      .withMessage("Latitude must be between -90 and 90"),
+    body("longitude")
+      .optional()
+      .isFloat({ min: -180, max: 180 })
+      .withMessage("Longitude must be between -180 and 180"),
+    body("seatMap").optional({ values: "null" }).custom(validateSeatMap),
+  ];
+};
+
+// applies request fields to a venue; capacity follows the seat map unless
+// given, and can't be below its seat count
+const applyVenueFields = (venue, data) => {
+  if (data.name !== undefined) venue.name = data.name;
+  if (data.address) {
+    ADDRESS_FIELDS.forEach((field) => {
+      if (data.address[field] !== undefined) {
+        venue.set(`address.${field}`, data.address[field]);
+      }
+    });
+  }
+  if (data.latitude !== undefined || data.longitude !== undefined) {
+    venue.location = toLocation(data);
+  }
+  if (data.seatMap !== undefined) {
+    venue.seatMap = data.seatMap ? normalizeSeatMap(data.seatMap) : undefined;
+  }
+  const seats = countSeats(venue.seatMap);
+  if (data.capacity !== undefined) {
+    venue.capacity = parseInt(data.capacity);
+  } else if (data.seatMap || !venue.capacity) {
+    venue.capacity = seats || venue.capacity || undefined;
+  }
+  if (venue.capacity < seats) {
+    throw httpError(
+      400,
+      `Capacity can't be below the ${seats} seats in the seat map`
+    );
+  }
+};
+
+const withSeatCount = (venue) => ({
+  ...venue.toObject(),
+  seatCount: countSeats(venue.seatMap),
+});
+
+// Routers
+router.post(
+  "/",
+  auth,
+  requirePermission("venues:manage"),
+  venueValidators(false),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const venue = new Venue({ createdBy: req.user._id });
+      applyVenueFields(venue, req.body);
+      await venue.save();
+
+      res.status(201).json(withSeatCount(venue));
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      res
+        .status(500)
+        .json({ message: "Error creating venue", error: error.message });
+    }
+  }
+);
+
+router.get("/", async (req, res) => {
+  try {
+    const pagination = parsePagination(req.query, {
+      sorts: VENUE_SORTS,
+      defaultSort: "name",
+    });
+
+    const query = {};
+    if (req.query.city) {
+      query["address.city"] = {
+        $regex: `^${escapeRegex(req.query.city)}$`,
+        $options: "i",
+      };
+    }
+    if (req.query.search) {
+      query.name = { $regex: escapeRegex(req.query.search), $options: "i" };
+    }
+    const filter = cursorFilter(pagination);
+
+    const venues = await Venue.find(filter ? { $and: [query, filter] } : query)
+      .select("-seatMap")
+      .sort(sortFor(pagination))
+      .skip(pagination.skip)
+      .limit(fetchLimit(pagination));
+    const total = pagination.cursorMode
+      ? undefined
+      : await Venue.countDocuments(query);
+    const page = paginate(venues, pagination, { req, total });
+
+    res.json({
+      venues: page.items,
+      ...(!pagination.cursorMode && {
+        currentPage: pagination.page,
+        totalPages: page.pagination.totalPages,
+        totalVenues: total,
+      }),
+      pagination: page.pagination,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res
+      .status(500)
+      .json({ message: "Error fetching venues", error: error.message });
+  }
+});
+
+router.get("/:id", async (req, res) => {
+  try {
+    const venue = await Venue.findOne({ id: parseVenueId(req.params.id) });
+    if (!venue) {
+      return res.status(404).json({ message: "Venue not found" });
+    }
+
+    res.json(withSeatCount(venue));
+  } catch (error) {
+    if (error.message === "Invalid venue ID") {
+      return res.status(400).json({ message: error.message });
+    }
+    res
+      .status(500)
+      .json({ message: "Error fetching venue", error: error.message });
+  }
+});
+
+// seat map changes only apply to events created afterwards
+router.put(
+  "/:id",
+  auth,
+  requirePermission("venues:manage"),
+  venueValidators(true),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const venue = await Venue.findOne({ id: parseVenueId(req.params.id) });
+      if (!venue) {
+        return res.status(404).json({ message: "Venue not found" });
+      }
+      if (!canManage(req.user, venue)) {
+        return res.status(403).json({ message: "Access denied." });
+      }
+
+      applyVenueFields(venue, req.body);
+      await venue.save();
+
+      // events keep showing the venue's current name and position
+      const eventUpdates = {};
+      if (req.body.name !== undefined) {
+        eventUpdates.venue = venue.name;
+      }
+      if (req.body.latitude !== undefined || req.body.longitude !== undefined) {
+        eventUpdates.location = venue.location;
+      }
+      if (Object.keys(eventUpdates).length) {
+        await Event.updateMany({ venueId: venue.id }, eventUpdates);
+      }
+
+      res.json(withSeatCount(venue));
+    } catch (error) {
+      if (error.message === "Invalid venue ID") {
+        return res.status(400).json({ message: error.message });
+      }
+      if (error.status) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      res
+        .status(500)
+        .json({ message: "Error updating venue", error: error.message });
+    }
+  }
+);
+
+router.delete(
+  "/:id",
+  auth,
+  requirePermission("venues:manage"),
+  async (req, res) => {
+    try {
+      const venue = await Venue.findOne({ id: parseVenueId(req.params.id) });
+      if (!venue) {
+        return res.status(404).json({ message: "Venue not found" });
+      }
+      if (!canManage(req.user, venue)) {
+        return res.status(403).json({ message: "Access denied." });
+      }
+
+      if (await Event.exists({ venueId: venue.id })) {
+        return res
+          .status(400)
+          .json({ message: "Venue is still used by one or more events" });
+      }
+
+      await venue.deleteOne();
+      res.json({ message: "Venue deleted successfully" });
+    } catch (error) {
+      if (error.message === "Invalid venue ID") {
+        return res.status(400).json({ message: error.message });
+      }
+      res
+        .status(500)
+        .json({ message: "Error deleting venue", error: error.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,231 @@
+const express = require("express");
+const router = express.Router();
+const { body, validationResult } = require("express-validator");
+const { auth, requireVerifiedEmail } = require("../middleware/auth.middleware");
+const WaitlistEntry = require("../models/waitlist-entry.model");
+const Booking = require("../models/booking.model");
+const Event = require("../models/event.model");
+const { releaseHold } = require("../services/hold.service");
+const { startPayment } = require("../services/payment.service");
+const { findTicketType } = require("../services/pricing.service");
+const { assertBookable } = require("../services/event-lifecycle.service");
+const {
+  settleOffers,
+  getPosition,
+} = require("../services/waitlist.service");
+
+// parse waitlist entry ID
+const parseEntryId = (id) => {
+  const parsedId = parseInt(id);
+  if (isNaN(parsedId)) {
+    throw new Error("Invalid waitlist entry ID");
+  }
+  return parsedId;
+};
+
+// Routers
+router.post(
+  "/",
+  auth,
+  requireVerifiedEmail,
+  [
+    body("eventId").notEmpty().withMessage("Event ID is required"),
+    body("quantity").isInt({ min: 1 }).withMessage("Quantity must be at least 1"),
+    body("ticketType").optional().notEmpty(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const eventId = parseInt(req.body.eventId);
+      const quantity = parseInt(req.body.quantity);
+      const event = await Event.findOne({ id: eventId });
+
+      if (!event) {
+        return res.status(404).json({ message: "Event not found" });
+      }
+      assertBookable(event);
+
+      // freed seats go back on the seat map for anyone to pick
+      if (event.seating === "reserved") {
+        return res
+          .status(400)
+          .json({ message: "Reserved-seating events don't have a waitlist" });
+      }
+
+      let available = event.availableTickets;
+      if (event.ticketTypes.length) {
+        const tier = findTicketType(event, req.body.ticketType);
+        if (!tier) {
+          return res.status(400).json({ message: "Please choose a valid ticket type" });
+        }
+        available = tier.available;
+      }
+
+      if (available >= quantity) {
+        return res
+          .status(400)
+          .json({ message: "Tickets are still available, book them directly" });
+      }
+
+      const existing = await WaitlistEntry.findOne({
+        event: eventId,
+        user: req.user._id,
+        status: { $in: ["waiting", "offered"] },
+      });
+      if (existing) {
+        return res
+          .status(400)
+          .json({ message: "You are already on the waitlist for this event" });
+      }
+
+      const entry = new WaitlistEntry({
+        event: eventId,
+        user: req.user._id,
+        quantity,
+        ticketType: event.ticketTypes.length ? req.body.ticketType : undefined,
+      });
+      await entry.save();
+
+      res.status(201).json({ ...entry.toObject(), position: await getPosition(entry) });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      res
+        .status(500)
+        .json({ message: "Error joining waitlist", error: error.message });
+    }
+  }
+);
+
+router.get("/my-entries", auth, async (req, res) => {
+  try {
+    const offeredEvents = await WaitlistEntry.distinct("event", {
+      user: req.user._id,
+      status: "offered",
+    });
+    await Promise.all(offeredEvents.map(settleOffers));
+
+    const entries = await WaitlistEntry.find({
+      user: req.user._id,
+      status: { $in: ["waiting", "offered"] },
+    }).sort({ createdAt: -1 });
+
+    const withPositions = await Promise.all(
+      entries.map(async (entry) => ({
+        ...entry.toObject(),
+        position: await getPosition(entry),
+        event: await Event.findOne({ id: entry.event }).select(
+          "id name date venue image"
+        ),
+      }))
+    );
+
+    res.json(withPositions);
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Error fetching waitlist", error: error.message });
+  }
+});
+
+router.post("/:id/claim", auth, requireVerifiedEmail, async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findOne({ id: parseEntryId(req.params.id) });
+
+    if (!entry) {
+      return res.status(404).json({ message: "Waitlist entry not found" });
+    }
+
+    if (entry.user.toString() !== req.user._id.toString()) {
+      return res
+        .status(403)
+        .json({ message: "Not authorized to claim this offer" });
+    }
+
+    await settleOffers(entry.event);
+    const booking = await Booking.findOne({
+      id: entry.booking,
+      status: "pending",
+      expiresAt: { $gt: new Date() },
+    });
+
+    if (entry.status !== "offered" || !booking) {
+      return res.status(400).json({ message: "No open offer to claim" });
+    }
+
+    // paid offers are confirmed by the payment webhook
+    if (booking.totalPrice > 0) {
+      if (booking.payment.status !== "not_required") {
+        return res.status(400).json({ message: "Payment has already been started" });
+      }
+      const event = await Event.findOne({ id: booking.event });
+      const clientSecret = await startPayment(booking, event.currency);
+      return res.json({ ...booking.toObject(), clientSecret });
+    }
+
+    const confirmed = await Booking.findOneAndUpdate(
+      { _id: booking._id, status: "pending" },
+      { status: "active" },
+      { new: true }
+    );
+    if (!confirmed) {
+      return res.status(400).json({ message: "No open offer to claim" });
+    }
+
+    entry.status = "claimed";
+    await entry.save();
+
+    res.json(confirmed);
+  } catch (error) {
+    if (error.message === "Invalid waitlist entry ID") {
+      return res.status(400).json({ message: error.message });
+    }
+    res
+      .status(500)
+      .json({ message: "Error claiming offer", error: error.message });
+  }
+});
+
+router.delete("/:id", auth, async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findOne({ id: parseEntryId(req.params.id) });
+
+    if (!entry) {
+      return res.status(404).json({ message: "Waitlist entry not found" });
+    }
+
+    if (entry.user.toString() !== req.user._id.toString()) {
+      return res
+        .status(403)
+        .json({ message: "Not authorized to leave this waitlist" });
+    }
+
+    if (!["waiting", "offered"].includes(entry.status)) {
+      return res.status(400).json({ message: "Waitlist entry is no longer active" });
+    }
+
+    entry.status = "cancelled";
+    await entry.save();
+
+    // declining an offer hands the tickets to the next in line
+    if (entry.booking) {
+      await releaseHold({ id: entry.booking }, "cancelled");
+    }
+
+    res.json({ message: "Left the waitlist successfully" });
+  } catch (error) {
+    if (error.message === "Invalid waitlist entry ID") {
+      return res.status(400).json({ message: error.message });
+    }
+    res
+      .status(500)
+      .json({ message: "Error leaving waitlist", error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,80 @@
+const crypto = require("crypto");
+const AccountToken = require("../models/account-token.model");
+const User = require("../models/user.model");
+const { sendMail } = require("./mailer.service");
+
+const TOKEN_TTL_MINUTES = {
+  email_verification: parseInt(process.env.EMAIL_VERIFICATION_TTL_MINUTES) || 24 * 60,
+  password_reset: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30,
+};
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+const appUrl = (pathname, token) =>
+  `${process.env.APP_URL || "http://localhost:3000"}${pathname}?token=${token}`;
+
+// issuing a new token invalidates older unused ones for the same purpose
+const createToken = async (userId, purpose) => {
+  await AccountToken.deleteMany({ user: userId, purpose, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString("hex");
+  await AccountToken.create({
+    user: userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TOKEN_TTL_MINUTES[purpose] * 60 * 1000),
+  });
+  return token;
+};
+
+// marks the token used and returns its user id, null if invalid, used or expired
+const consumeToken = async (token, purpose) => {
+  const record = await AccountToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+  return record ? record.user : null;
+};
+
+const sendVerificationEmail = async (user) => {
+  const token = await createToken(user._id, "email_verification");
+  await sendMail({
+    to: user.email,
+    subject: "Verify your Eventora email",
+    text: `Hi ${user.name},\n\nConfirm your email address by opening this link:\n${appUrl("/verify-email", token)}\n`,
+  });
+};
+
+const sendPasswordResetEmail = async (user) => {
+  const token = await createToken(user._id, "password_reset");
+  await sendMail({
+    to: user.email,
+    subject: "Reset your Eventora password",
+    text: `Hi ${user.name},\n\nReset your password with this link, it expires in ${TOKEN_TTL_MINUTES.password_reset} minutes:\n${appUrl("/reset-password", token)}\n\nIf you didn't ask for this you can ignore this email.\n`,
+  });
+};
+
+const verifyEmail = async (token) => {
+  const userId = await consumeToken(token, "email_verification");
+  if (!userId) return null;
+
+  return User.findByIdAndUpdate(
+    userId,
+    { emailVerified: true, emailVerifiedAt: new Date() },
+    { new: true }
+  );
+};
+
+module.exports = {
+  consumeToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  verifyEmail,
+};
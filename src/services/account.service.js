@@ -0,0 +1,150 @@
+const User = require("../models/user.model");
+const Booking = require("../models/booking.model");
+const Event = require("../models/event.model");
+const Ticket = require("../models/ticket.model");
+const Session = require("../models/session.model");
+const AccountToken = require("../models/account-token.model");
+const WaitlistEntry = require("../models/waitlist-entry.model");
+const EventMember = require("../models/event-member.model");
+const Favorite = require("../models/favorite.model");
+const PromoRedemption = require("../models/promo-redemption.model");
+const { cancelBooking } = require("./inventory.service");
+const { releaseHold } = require("./hold.service");
+const { refundBooking } = require("./payment.service");
+const { removeUserFavorites } = require("./favorite.service");
+const { scheduleConditions } = require("./schedule.service");
+
+const DELETION_COOLING_OFF_DAYS =
+  parseInt(process.env.ACCOUNT_DELETION_DAYS) || 14;
+const DELETION_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+// everything we hold about a user, as one JSON-serialisable object
+const exportUserData = async (user) => {
+  const [bookings, tickets, favorites, sessions, waitlist, memberships] =
+    await Promise.all([
+      Booking.find({ user: user._id }).lean(),
+      Ticket.find({ user: user._id }).lean(),
+      Favorite.find({ user: user._id }).lean(),
+      Session.find({ user: user._id })
+        .select("-tokenHash")
+        .lean(),
+      WaitlistEntry.find({ user: user._id }).lean(),
+      EventMember.find({ user: user._id }).lean(),
+    ]);
+
+  const favoriteEvents = await Event.find({
+    id: { $in: favorites.map((favorite) => favorite.event) },
+  })
+    .select("id name date startsAt endsAt timezone venue category")
+    .lean();
+  const eventsById = new Map(favoriteEvents.map((event) => [event.id, event]));
+
+  const { password, ...profile } = user.toObject();
+
+  return {
+    exportedAt: new Date(),
+    user: profile,
+    bookings,
+    tickets,
+    favorites: favorites.map((favorite) => ({
+      ...(eventsById.get(favorite.event) || { id: favorite.event }),
+      favoritedAt: favorite.createdAt,
+    })),
+    sessions,
+    waitlist,
+    eventMemberships: memberships,
+  };
+};
+
+const requestDeletion = (user) => {
+  user.deletionRequestedAt = new Date();
+  user.deletionScheduledFor = new Date(
+    Date.now() + DELETION_COOLING_OFF_DAYS * 24 * 60 * 60 * 1000
+  );
+  return user.save();
+};
+
+const cancelDeletion = (user) => {
+  user.deletionRequestedAt = undefined;
+  user.deletionScheduledFor = undefined;
+  return user.save();
+};
+
+// removes the user but keeps their bookings, anonymized, for organizer
+// reporting; only bookings for events still to come are cancelled, past ones
+// stay as they were
+const deleteAccount = async (user) => {
+  const open = await Booking.find({
+    user: user._id,
+    status: { $in: ["pending", "active"] },
+  });
+  const upcoming = new Set(
+    await Event.distinct("id", {
+      id: { $in: open.map((booking) => booking.event) },
+      $and: scheduleConditions({ when: "upcoming" }),
+    })
+  );
+  for (const booking of open.filter((b) => upcoming.has(b.event))) {
+    if (booking.status === "pending") {
+      await releaseHold({ _id: booking._id }, "cancelled");
+    } else {
+      const cancelled = await cancelBooking({ _id: booking._id });
+      if (cancelled) await refundBooking(cancelled);
+    }
+  }
+
+  await Booking.updateMany(
+    { user: user._id },
+    { $unset: { user: 1 }, anonymizedAt: new Date() }
+  );
+  await Ticket.updateMany({ user: user._id }, { $unset: { user: 1 } });
+  await removeUserFavorites(user._id);
+  await WaitlistEntry.updateMany(
+    { user: user._id, status: { $in: ["waiting", "offered"] } },
+    { status: "cancelled" }
+  );
+  await Promise.all([
+    Session.deleteMany({ user: user._id }),
+    AccountToken.deleteMany({ user: user._id }),
+    EventMember.deleteMany({ user: user._id }),
+    PromoRedemption.deleteMany({ user: user._id }),
+  ]);
+
+  await user.deleteOne();
+};
+
+// one account that fails to delete mustn't hold up the others, it's
+// retried on the next sweep
+const processDueDeletions = async () => {
+  const due = await User.find({ deletionScheduledFor: { $lte: new Date() } });
+  let deleted = 0;
+  for (const user of due) {
+    try {
+      await deleteAccount(user);
+      deleted += 1;
+    } catch (error) {
+      console.error(`Deleting account ${user.id} failed:`, error);
+    }
+  }
+  return deleted;
+};
+
+const startDeletionSweeper = (intervalMs = DELETION_SWEEP_INTERVAL_MS) => {
+  const timer = setInterval(() => {
+    processDueDeletions().catch((err) =>
+      console.error("Account deletion sweeper error:", err)
+    );
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  DELETION_COOLING_OFF_DAYS,
+  exportUserData,
+  requestDeletion,
+  cancelDeletion,
+  deleteAccount,
+  processDueDeletions,
+  startDeletionSweeper,
+};
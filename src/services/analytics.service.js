@@ -0,0 +1,316 @@
+const Booking = require("../models/booking.model");
+const Event = require("../models/event.model");
+const EventMember = require("../models/event-member.model");
+const Favorite = require("../models/favorite.model");
+
+const INTERVALS = ["day", "week", "month"];
+
+// a sale is an active booking that is paid for or free; bookings made before
+// paid bookings started as holds can be active and still awaiting payment,
+// and bookings from before payments have no payment status at all
+const SETTLED = ["paid", "not_required"];
+const sold = {
+  status: "active",
+  "payment.status": { $in: [...SETTLED, null] },
+};
+const isSold = {
+  $and: [
+    { $eq: ["$status", "active"] },
+    { $in: [{ $ifNull: ["$payment.status", "not_required"] }, SETTLED] },
+  ],
+};
+
+// filters: { from, to, eventIds }, eventIds null means every event
+const bookingMatch = ({ from, to, eventIds }) => {
+  const match = {};
+  if (eventIds) {
+    match.event = { $in: eventIds };
+  }
+  if (from || to) {
+    match.bookingDate = {
+      ...(from && { $gte: from }),
+      ...(to && { $lte: to }),
+    };
+  }
+  return match;
+};
+
+// events an organizer owns or co-organizes
+const getOrganizerEventIds = async (userId) => {
+  const [owned, coOrganized] = await Promise.all([
+    Event.distinct("id", { createdBy: userId }),
+    EventMember.distinct("event", { user: userId, role: "co-organizer" }),
+  ]);
+  return [...new Set([...owned, ...coOrganized])];
+};
+
+const salesOverTime = (filters, interval = "day") =>
+  Booking.aggregate([
+    { $match: { ...bookingMatch(filters), ...sold } },
+    {
+      $group: {
+        _id: { $dateTrunc: { date: "$bookingDate", unit: interval } },
+        bookings: { $sum: 1 },
+        tickets: { $sum: "$quantity" },
+        revenue: { $sum: "$totalPrice" },
+      },
+    },
+    { $sort: { _id: 1 } },
+    {
+      $project: { _id: 0, period: "$_id", bookings: 1, tickets: 1, revenue: 1 },
+    },
+  ]);
+
+const revenueSummary = async (filters) => {
+  const [summary] = await Booking.aggregate([
+    { $match: bookingMatch(filters) },
+    {
+      $group: {
+        _id: null,
+        ticketsSold: { $sum: { $cond: [isSold, "$quantity", 0] } },
+        grossRevenue: {
+          $sum: {
+            $cond: [isSold, { $ifNull: ["$originalPrice", "$totalPrice"] }, 0],
+          },
+        },
+        discounts: { $sum: { $cond: [isSold, "$discount", 0] } },
+        netRevenue: { $sum: { $cond: [isSold, "$totalPrice", 0] } },
+        refunded: {
+          $sum: {
+            $cond: [{ $eq: ["$payment.status", "refunded"] }, "$totalPrice", 0],
+          },
+        },
+      },
+    },
+    { $project: { _id: 0 } },
+  ]);
+
+  return (
+    summary || {
+      ticketsSold: 0,
+      grossRevenue: 0,
+      discounts: 0,
+      netRevenue: 0,
+      refunded: 0,
+    }
+  );
+};
+
+// holds that lapsed or were released never became sales, so only active
+// bookings and those cancelled after being active count
+const cancellationRate = async (filters) => {
+  const [counts] = await Booking.aggregate([
+    {
+      $match: {
+        ...bookingMatch(filters),
+        $or: [
+          { status: "active" },
+          { status: "cancelled", cancelledAt: { $ne: null } },
+        ],
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        bookings: { $sum: 1 },
+        cancelled: {
+          $sum: { $cond: [{ $eq: ["$status", "cancelled"] }, 1, 0] },
+        },
+      },
+    },
+  ]);
+
+  const bookings = counts ? counts.bookings : 0;
+  const cancelled = counts ? counts.cancelled : 0;
+  return {
+    bookings,
+    cancelled,
+    cancellationRate: bookings ? cancelled / bookings : 0,
+  };
+};
+
+// how many of the users who favorited each event went on to book it
+const favoriteConversion = (filters, limit = 20) =>
+  Event.aggregate([
+    { $match: filters.eventIds ? { id: { $in: filters.eventIds } } : {} },
+    // interestedCount is exact, so only the events listed need looking up
+    { $sort: { interestedCount: -1 } },
+    { $limit: limit },
+    {
+      $lookup: {
+        from: Booking.collection.name,
+        let: { eventId: "$id" },
+        pipeline: [
+          {
+            $match: {
+              ...bookingMatch({ ...filters, eventIds: null }),
+              ...sold,
+              $expr: { $eq: ["$event", "$$eventId"] },
+            },
+          },
+          { $group: { _id: "$user" } },
+        ],
+        as: "buyers",
+      },
+    },
+    {
+      $lookup: {
+        from: Favorite.collection.name,
+        let: { eventId: "$id" },
+        pipeline: [
+          { $match: { $expr: { $eq: ["$event", "$$eventId"] } } },
+          { $project: { _id: 0, user: 1 } },
+        ],
+        as: "favorites",
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        id: 1,
+        name: 1,
+        interestedCount: 1,
+        buyers: { $size: "$buyers" },
+        convertedFavorites: {
+          $size: {
+            $setIntersection: [
+              "$favorites.user",
+              "$buyers._id",
+            ],
+          },
+        },
+      },
+    },
+    {
+      $addFields: {
+        conversionRate: {
+          $cond: [
+            { $gt: ["$interestedCount", 0] },
+            { $divide: ["$convertedFavorites", "$interestedCount"] },
+            0,
+          ],
+        },
+      },
+    },
+  ]);
+
+// sales grouped by an Event field such as "category" or "venue"
+const topByEventField = (filters, field, limit = 10) =>
+  Booking.aggregate([
+    { $match: { ...bookingMatch(filters), ...sold } },
+    {
+      $group: {
+        _id: "$event",
+        tickets: { $sum: "$quantity" },
+        revenue: { $sum: "$totalPrice" },
+      },
+    },
+    {
+      $lookup: {
+        from: Event.collection.name,
+        localField: "_id",
+        foreignField: "id",
+        as: "event",
+      },
+    },
+    { $unwind: "$event" },
+    {
+      $group: {
+        _id: `$event.${field}`,
+        events: { $sum: 1 },
+        tickets: { $sum: "$tickets" },
+        revenue: { $sum: "$revenue" },
+      },
+    },
+    { $sort: { revenue: -1, tickets: -1 } },
+    { $limit: limit },
+    {
+      $project: {
+        _id: 0,
+        [field]: "$_id",
+        events: 1,
+        tickets: 1,
+        revenue: 1,
+      },
+    },
+  ]);
+
+const topEvents = (filters, limit = 5) =>
+  Booking.aggregate([
+    { $match: { ...bookingMatch(filters), ...sold } },
+    {
+      $group: {
+        _id: "$event",
+        tickets: { $sum: "$quantity" },
+        revenue: { $sum: "$totalPrice" },
+      },
+    },
+    { $sort: { revenue: -1 } },
+    { $limit: limit },
+    {
+      $lookup: {
+        from: Event.collection.name,
+        localField: "_id",
+        foreignField: "id",
+        pipeline: [
+          { $project: { _id: 0, name: 1, startsAt: 1, timezone: 1 } },
+        ],
+        as: "event",
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        eventId: "$_id",
+        name: { $first: "$event.name" },
+        startsAt: { $first: "$event.startsAt" },
+        timezone: { $first: "$event.timezone" },
+        tickets: 1,
+        revenue: 1,
+      },
+    },
+  ]);
+
+const organizerDashboard = async (userId, filters) => {
+  const eventIds = await getOrganizerEventIds(userId);
+  const scoped = { ...filters, eventIds };
+
+  const [events, revenue, cancellations, top] = await Promise.all([
+    Event.aggregate([
+      { $match: { id: { $in: eventIds } } },
+      {
+        $group: {
+          _id: null,
+          total: { $sum: 1 },
+          upcoming: {
+            $sum: { $cond: [{ $gte: ["$startsAt", new Date()] }, 1, 0] },
+          },
+          capacity: { $sum: "$totalTickets" },
+          interested: { $sum: "$interestedCount" },
+        },
+      },
+      { $project: { _id: 0 } },
+    ]),
+    revenueSummary(scoped),
+    cancellationRate(scoped),
+    topEvents(scoped),
+  ]);
+
+  return {
+    events: events[0] || { total: 0, upcoming: 0, capacity: 0, interested: 0 },
+    ...revenue,
+    ...cancellations,
+    topEvents: top,
+  };
+};
+
+module.exports = {
+  INTERVALS,
+  getOrganizerEventIds,
+  salesOverTime,
+  revenueSummary,
+  cancellationRate,
+  favoriteConversion,
+  topByEventField,
+  organizerDashboard,
+};
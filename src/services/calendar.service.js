@@ -0,0 +1,100 @@
+const crypto = require("crypto");
+const Booking = require("../models/booking.model");
+const Event = require("../models/event.model");
+
+const formatUtc = (date) =>
+  date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+const escapeText = (value) =>
+  String(value || "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// RFC 5545 lines are at most 75 octets, continuation lines start with a space
+const foldLine = (line) => {
+  const chunks = [];
+  let current = "";
+  for (const char of line) {
+    const limit = chunks.length ? 74 : 75;
+    if (Buffer.byteLength(current + char) > limit) {
+      chunks.push(current);
+      current = char;
+    } else {
+      current += char;
+    }
+  }
+  chunks.push(current);
+  return chunks.join("\r\n ");
+};
+
+const eventUrl = (event) =>
+  process.env.APP_URL ? `${process.env.APP_URL}/events/${event.id}` : null;
+
+const buildVEvent = (event, { description, uid } = {}) => {
+  const url = eventUrl(event);
+
+  return [
+    "BEGIN:VEVENT",
+    `UID:${uid || `event-${event.id}@eventora`}`,
+    `DTSTAMP:${formatUtc(new Date())}`,
+    `DTSTART:${formatUtc(event.startsAt)}`,
+    `DTEND:${formatUtc(event.endsAt)}`,
+    `SUMMARY:${escapeText(event.name)}`,
+    `DESCRIPTION:${escapeText(description || event.description)}`,
+    `LOCATION:${escapeText(event.venue)}`,
+    ...(url ? [`URL:${url}`] : []),
+    "END:VEVENT",
+  ];
+};
+
+// entries: [{ event, description?, uid? }]
+const buildCalendar = (entries, { name } = {}) =>
+  [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Eventora//Events//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    ...(name ? [`X-WR-CALNAME:${escapeText(name)}`] : []),
+    ...entries.flatMap(({ event, ...options }) => buildVEvent(event, options)),
+    "END:VCALENDAR",
+  ]
+    .map(foldLine)
+    .join("\r\n") + "\r\n";
+
+// one entry per active booking, with the booking's tickets in the description
+const buildUserCalendar = async (user) => {
+  const bookings = await Booking.find({ user: user._id, status: "active" });
+  const events = await Event.find({
+    id: { $in: bookings.map((booking) => booking.event) },
+  });
+  const eventsById = new Map(events.map((event) => [event.id, event]));
+
+  return buildCalendar(
+    bookings
+      .filter((booking) => eventsById.has(booking.event))
+      .map((booking) => {
+        const event = eventsById.get(booking.event);
+        return {
+          event,
+          uid: `booking-${booking.id}@eventora`,
+          description: `${booking.quantity} ticket(s), booking #${booking.id}\n\n${event.description}`,
+        };
+      }),
+    { name: "My Eventora bookings" }
+  );
+};
+
+const hashFeedToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+const createFeedToken = () => crypto.randomBytes(24).toString("hex");
+
+module.exports = {
+  buildCalendar,
+  buildUserCalendar,
+  hashFeedToken,
+  createFeedToken,
+};
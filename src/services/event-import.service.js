@@ -0,0 +1,269 @@
+const Event = require("../models/event.model");
+const Counter = require("../models/counter.model");
+const ImportJob = require("../models/import-job.model");
+const { buildEvent } = require("./event.service");
+const { uploadImageFromUrl } = require("./image.service");
+const { findVenue, attachVenue } = require("./venue.service");
+const { validateEventData } = require("../validators/event.validators");
+const { parseCsv } = require("../utils/csv");
+const httpError = require("../utils/http-error");
+
+const IMPORT_BATCH_SIZE = parseInt(process.env.IMPORT_BATCH_SIZE) || 25;
+const MAX_IMPORT_ROWS = parseInt(process.env.MAX_IMPORT_ROWS) || 1000;
+
+// CSV cells are all strings, so blanks are dropped and tags are "a;b;c"
+const normalizeCsvRow = (row) => {
+  const data = Object.fromEntries(
+    Object.entries(row).filter(([, value]) => value !== "")
+  );
+  if (data.tags) {
+    data.tags = data.tags
+      .split(";")
+      .map((tag) => tag.trim())
+      .filter(Boolean);
+  }
+  return data;
+};
+
+// rows from either an uploaded file or a JSON body of { events: [...] }
+const parseImportRows = (format, content) => {
+  let rows;
+  if (format === "csv") {
+    rows = parseCsv(content).map(normalizeCsvRow);
+  } else {
+    let parsed = content;
+    if (typeof content === "string") {
+      try {
+        parsed = JSON.parse(content);
+      } catch (error) {
+        throw httpError(400, "Invalid JSON file");
+      }
+    }
+    rows = Array.isArray(parsed) ? parsed : parsed?.events;
+    if (!Array.isArray(rows)) {
+      throw httpError(400, "JSON imports must be an array of events");
+    }
+  }
+
+  if (!rows.length) {
+    throw httpError(400, "No events to import");
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw httpError(400, `At most ${MAX_IMPORT_ROWS} events per import`);
+  }
+  return rows;
+};
+
+const isHttpUrl = (value) => {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+// same rules as the create route, with the image given as a URL
+const validateRow = async (data) => {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    return ["Row must be an object"];
+  }
+  const messages = (await validateEventData(data)).map((error) =>
+    error.path ? `${error.path}: ${error.msg}` : error.msg
+  );
+  if (!isHttpUrl(data.image)) {
+    messages.push("image: A valid image URL is required");
+  }
+  return messages;
+};
+
+// per-row report, without touching the database
+const validateRows = async (rows) => {
+  const results = [];
+  for (const [index, data] of rows.entries()) {
+    const messages = await validateRow(data);
+    results.push({
+      row: index + 1,
+      status: messages.length ? "invalid" : "valid",
+      messages,
+    });
+  }
+  return results;
+};
+
+// insertMany skips the save hook, so reserve a block of event ids up front
+const allocateEventIds = async (count) => {
+  const counter = await Counter.findOneAndUpdate(
+    { name: "eventId" },
+    { $inc: { seq: count } },
+    { new: true, upsert: true }
+  );
+  return Array.from({ length: count }, (_, i) => counter.seq - count + 1 + i);
+};
+
+// creates one batch; a re-run after a crash finds rows already inserted
+const importBatch = async (job, start) => {
+  const rows = job.rows.slice(start, start + IMPORT_BATCH_SIZE);
+  const invalidRows = new Set(
+    job.results.filter((r) => r.status === "invalid").map((r) => r.row)
+  );
+  const results = [];
+  const prepared = [];
+
+  for (const [offset, data] of rows.entries()) {
+    const index = start + offset;
+    if (invalidRows.has(index + 1)) continue;
+
+    try {
+      const image = await uploadImageFromUrl(data.image);
+      const event = buildEvent(data, { image, createdBy: job.createdBy });
+      if (data.venueId) {
+        attachVenue(event, await findVenue(data.venueId), {
+          seating: data.seating,
+        });
+      }
+      event.importJob = job.id;
+      event.importRow = index;
+      prepared.push({ index, event });
+    } catch (error) {
+      results.push({
+        row: index + 1,
+        status: "failed",
+        messages: [error.message],
+      });
+    }
+  }
+
+  if (prepared.length) {
+    const ids = await allocateEventIds(prepared.length);
+    prepared.forEach((item, i) => {
+      item.event.id = ids[i];
+    });
+
+    let insertError;
+    try {
+      await Event.insertMany(
+        prepared.map((item) => item.event),
+        { ordered: false }
+      );
+    } catch (error) {
+      insertError = error;
+    }
+
+    const created = await Event.find({
+      importJob: job.id,
+      importRow: { $in: prepared.map((item) => item.index) },
+    }).select("id importRow");
+    const eventIdsByRow = new Map(created.map((e) => [e.importRow, e.id]));
+
+    for (const { index } of prepared) {
+      results.push(
+        eventIdsByRow.has(index)
+          ? {
+              row: index + 1,
+              status: "created",
+              eventId: eventIdsByRow.get(index),
+            }
+          : {
+              row: index + 1,
+              status: "failed",
+              messages: [insertError?.message || "Event was not created"],
+            }
+      );
+    }
+  }
+
+  return { results, nextRow: start + rows.length };
+};
+
+const countResults = (job) => {
+  const count = (status) => job.results.filter((r) => r.status === status).length;
+  job.createdCount = count("created");
+  job.invalidCount = count("invalid");
+  job.failedCount = count("failed");
+};
+
+// works through the remaining rows, saving progress after every batch
+const runImportJob = async (job) => {
+  job.status = "running";
+  job.startedAt = job.startedAt || new Date();
+  job.error = undefined;
+  await job.save();
+
+  try {
+    while (job.nextRow < job.rows.length) {
+      const { results, nextRow } = await importBatch(job, job.nextRow);
+      // drop results left over from an interrupted run of the same batch
+      job.results = job.results
+        .filter((r) => r.status === "invalid" || r.row <= job.nextRow)
+        .concat(results)
+        .sort((a, b) => a.row - b.row);
+      job.nextRow = nextRow;
+      countResults(job);
+      await job.save();
+    }
+
+    job.status = "completed";
+    job.finishedAt = new Date();
+  } catch (error) {
+    job.status = "failed";
+    job.error = error.message;
+  }
+  await job.save();
+  return job;
+};
+
+// kicks off a job without waiting for it, progress is read back from the job
+const runInBackground = (job) => {
+  runImportJob(job).catch((err) => console.error("Import job error:", err));
+};
+
+// validates every row; dry runs stop there, otherwise valid rows are queued
+const createImportJob = async ({ format, content, dryRun, createdBy }) => {
+  const rows = parseImportRows(format, content);
+  const report = await validateRows(rows);
+
+  const job = new ImportJob({
+    createdBy,
+    format,
+    dryRun,
+    status: dryRun ? "validated" : "pending",
+    rows: dryRun ? [] : rows,
+    totalRows: rows.length,
+    results: dryRun
+      ? report
+      : report.filter((result) => result.status === "invalid"),
+  });
+  countResults(job);
+  await job.save();
+
+  if (!dryRun) {
+    runInBackground(job);
+  }
+  return job;
+};
+
+const resumeImportJob = async (job) => {
+  if (job.dryRun) {
+    throw httpError(400, "Dry runs cannot be resumed");
+  }
+  if (job.status !== "failed") {
+    throw httpError(400, "Only failed import jobs can be resumed");
+  }
+  runInBackground(job);
+  return job;
+};
+
+// jobs left running by a restart carry on from their last saved batch
+const resumeInterruptedImports = async () => {
+  const jobs = await ImportJob.find({ status: { $in: ["pending", "running"] } });
+  jobs.forEach(runInBackground);
+  return jobs.length;
+};
+
+module.exports = {
+  parseImportRows,
+  validateRows,
+  createImportJob,
+  resumeImportJob,
+  resumeInterruptedImports,
+};
@@ -0,0 +1,400 @@
+const Event = require("../models/event.model");
+const Booking = require("../models/booking.model");
+const User = require("../models/user.model");
+const WaitlistEntry = require("../models/waitlist-entry.model");
+const { BOOKABLE_STATUSES, cancelBooking } = require("./inventory.service");
+const { releaseHold } = require("./hold.service");
+const { refundBooking } = require("./payment.service");
+const { applyEventUpdate } = require("./event.service");
+const { SCHEDULE_FIELDS } = require("./schedule.service");
+const { hasPermission } = require("./permission.service");
+const { sendMail } = require("./mailer.service");
+const { formatInTimezone } = require("../utils/timezone");
+const httpError = require("../utils/http-error");
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// anyone can see these, drafts and scheduled events only their organizers
+const PUBLIC_STATUSES = ["published", "postponed", "cancelled", "completed"];
+
+// which statuses each status can move to; cancelled and completed are final
+const TRANSITIONS = {
+  draft: ["scheduled", "published"],
+  scheduled: ["draft", "scheduled", "published"],
+  published: ["postponed", "cancelled", "completed"],
+  postponed: ["published", "postponed", "cancelled", "completed"],
+  cancelled: [],
+  completed: [],
+};
+
+// query conditions for events anyone may see
+const publicConditions = () => ({
+  status: { $in: PUBLIC_STATUSES },
+  deletedAt: null,
+});
+
+// organizers also see their own drafts and scheduled events
+const canViewEvent = async (event, user) => {
+  if (event.deletedAt) return false;
+  if (PUBLIC_STATUSES.includes(event.status)) return true;
+  return !!user && hasPermission(user, "event:update", event);
+};
+
+const assertBookable = (event) => {
+  if (event.deletedAt) {
+    throw httpError(404, "Event not found");
+  }
+  if (event.status === "cancelled") {
+    throw httpError(400, "This event has been cancelled");
+  }
+  if (event.status === "completed") {
+    throw httpError(400, "This event has already taken place");
+  }
+  if (!BOOKABLE_STATUSES.includes(event.status)) {
+    throw httpError(400, "Tickets for this event are not on sale yet");
+  }
+};
+
+const moveTo = (event, status) => {
+  if (event.deletedAt) {
+    throw httpError(404, "Event not found");
+  }
+  if (!TRANSITIONS[event.status]?.includes(status)) {
+    throw httpError(409, `A ${event.status} event can't become ${status}`);
+  }
+  event.status = status;
+};
+
+// goes live now, or at publishAt when that is in the future
+const publishEvent = async (event, { publishAt } = {}) => {
+  const at = publishAt ? new Date(publishAt) : null;
+  if (at && isNaN(at)) {
+    throw httpError(400, "Publish time must be an ISO 8601 date-time");
+  }
+
+  if (at && at > new Date()) {
+    moveTo(event, "scheduled");
+    event.publishAt = at;
+  } else {
+    moveTo(event, "published");
+    event.publishAt = undefined;
+    event.publishedAt = new Date();
+  }
+  return event.save();
+};
+
+// takes a scheduled event back to a draft
+const unpublishEvent = async (event) => {
+  if (event.status !== "scheduled") {
+    throw httpError(409, "Only scheduled events can go back to draft");
+  }
+  moveTo(event, "draft");
+  event.publishAt = undefined;
+  return event.save();
+};
+
+// mails everyone holding one of the bookings, failures are only logged
+const notifyBookingHolders = async (bookings, message) => {
+  const users = await User.find({
+    _id: { $in: bookings.map((booking) => booking.user).filter(Boolean) },
+  }).select("name email");
+
+  for (const user of users) {
+    try {
+      await sendMail({ to: user.email, ...message(user) });
+    } catch (error) {
+      console.error(`Event notification to ${user.email} failed:`, error);
+    }
+  }
+  return users.length;
+};
+
+// what the holder is told about their money depends on how the refund went
+const refundNote = (booking) => {
+  switch (booking.payment?.status) {
+    case "refunded":
+      return "\n\nYour payment has been refunded.";
+    case "paid":
+    case "refunding":
+    case "refund_failed":
+      return "\n\nWe couldn't refund your payment yet. We'll keep trying automatically, there's nothing you need to do.";
+    default:
+      return "";
+  }
+};
+
+// the notification is claimed before sending so two runs never mail twice,
+// and handed back when the mail fails so the next run tries again
+const notifyCancelledBooking = async (event, booking) => {
+  const claimed = await Booking.findOneAndUpdate(
+    { _id: booking._id, eventCancellationNotifiedAt: null },
+    { eventCancellationNotifiedAt: new Date() }
+  );
+  if (!claimed || !booking.user) return false;
+
+  const user = await User.findById(booking.user).select("name email");
+  if (!user) return false;
+  try {
+    await sendMail({
+      to: user.email,
+      subject: `${event.name} has been cancelled`,
+      text: `Hi ${user.name},\n\nUnfortunately ${event.name} has been cancelled${event.cancellationReason ? `: ${event.cancellationReason}` : "."}\n\nYour booking has been cancelled.${refundNote(booking)}\n`,
+    });
+    return true;
+  } catch (error) {
+    console.error(`Event notification to ${user.email} failed:`, error);
+    await Booking.updateOne(
+      { _id: booking._id },
+      { $unset: { eventCancellationNotifiedAt: 1 } }
+    );
+    return false;
+  }
+};
+
+// cancels every open booking of the event, then refunds and notifies each
+// one in turn; bookings are flagged in the same update that cancels them, so
+// running it again picks up whatever an earlier run didn't finish
+const cancelEventBookings = async (event) => {
+  await WaitlistEntry.updateMany(
+    { event: event.id, status: { $in: ["waiting", "offered"] } },
+    { status: "cancelled" }
+  );
+
+  const holds = await Booking.find({ event: event.id, status: "pending" })
+    .select("_id");
+  let holdsReleased = 0;
+  for (const { _id } of holds) {
+    if (await releaseHold({ _id }, "cancelled")) holdsReleased += 1;
+  }
+
+  const active = await Booking.find({ event: event.id, status: "active" })
+    .select("_id");
+  let bookingsCancelled = 0;
+  let failed = 0;
+  for (const { _id } of active) {
+    try {
+      const booking = await cancelBooking(
+        { _id },
+        { eventCancelledAt: new Date() }
+      );
+      if (booking) bookingsCancelled += 1;
+    } catch (error) {
+      failed += 1;
+      console.error(`Cancelling booking ${_id} of event ${event.id}:`, error);
+    }
+  }
+
+  // a refund the provider rejects stays refund_failed for the refund sweeper
+  const unnotified = await Booking.find({
+    event: event.id,
+    eventCancelledAt: { $ne: null },
+    eventCancellationNotifiedAt: null,
+  }).select("_id");
+  let notified = 0;
+  for (const { _id } of unnotified) {
+    try {
+      const booking = await refundBooking({ _id });
+      if (await notifyCancelledBooking(event, booking)) notified += 1;
+    } catch (error) {
+      failed += 1;
+      console.error(`Refunding booking ${_id} of event ${event.id}:`, error);
+    }
+  }
+
+  // refunds are counted over every booking cancelled with the event
+  const payments = await Booking.aggregate([
+    { $match: { event: event.id, eventCancelledAt: { $ne: null } } },
+    { $group: { _id: "$payment.status", count: { $sum: 1 } } },
+  ]);
+  const byStatus = Object.fromEntries(payments.map((p) => [p._id, p.count]));
+
+  return {
+    bookingsCancelled,
+    holdsReleased,
+    notified,
+    failed,
+    refunded: byStatus.refunded || 0,
+    refundsPending:
+      (byStatus.paid || 0) +
+      (byStatus.refunding || 0) +
+      (byStatus.refund_failed || 0),
+  };
+};
+
+const runCancellation = async (event) => {
+  await Event.updateOne(
+    { _id: event._id },
+    { "cancellation.status": "running" }
+  );
+  try {
+    const result = await cancelEventBookings(event);
+    const counts = Object.fromEntries(
+      Object.entries(result).map(([key, value]) => [
+        `cancellation.${key}`,
+        value,
+      ])
+    );
+    await Event.updateOne(
+      { _id: event._id },
+      {
+        ...counts,
+        "cancellation.status": "completed",
+        "cancellation.finishedAt": new Date(),
+        $unset: { "cancellation.error": 1 },
+      }
+    );
+  } catch (error) {
+    await Event.updateOne(
+      { _id: event._id },
+      {
+        "cancellation.status": "failed",
+        "cancellation.finishedAt": new Date(),
+        "cancellation.error": error.message,
+      }
+    );
+    throw error;
+  }
+};
+
+const runInBackground = (event) => {
+  runCancellation(event).catch((err) =>
+    console.error(`Cancelling bookings of event ${event.id} failed:`, err)
+  );
+};
+
+// the event is cancelled right away and its bookings in the background, with
+// progress in event.cancellation; cancelling it again retries what failed
+const cancelEvent = async (event, { reason } = {}) => {
+  if (["pending", "running"].includes(event.cancellation?.status)) {
+    throw httpError(409, "This event's bookings are still being cancelled");
+  }
+  if (event.status !== "cancelled") {
+    moveTo(event, "cancelled");
+    event.cancelledAt = new Date();
+    event.cancellationReason = reason;
+  }
+  event.cancellation = { status: "pending", startedAt: new Date() };
+  await event.save();
+
+  runInBackground(event);
+  return { event };
+};
+
+// cancellations cut off by a restart carry on where they stopped
+const resumeInterruptedCancellations = async () => {
+  const events = await Event.find({
+    status: "cancelled",
+    "cancellation.status": { $in: ["pending", "running"] },
+  });
+  events.forEach(runInBackground);
+  return events.length;
+};
+
+// moves the event to a later start, bookings stay valid for the new date
+const postponeEvent = async (event, data, { reason } = {}) => {
+  const changes = {};
+  SCHEDULE_FIELDS.forEach((field) => {
+    if (data[field] !== undefined) changes[field] = data[field];
+  });
+  if (!Object.keys(changes).length) {
+    throw httpError(400, "Please give the new start time");
+  }
+
+  const fromStartsAt = event.startsAt;
+  moveTo(event, "postponed");
+  applyEventUpdate(event, changes);
+  if (!(event.startsAt > fromStartsAt)) {
+    throw httpError(400, "A postponed event must start later than before");
+  }
+  event.postponements.push({
+    fromStartsAt,
+    toStartsAt: event.startsAt,
+    reason,
+    postponedAt: new Date(),
+  });
+  await event.save();
+
+  const bookings = await Booking.find({
+    event: event.id,
+    status: { $in: ["pending", "active"] },
+  }).select("user");
+  const notified = await notifyBookingHolders(bookings, (user) => ({
+    subject: `${event.name} has been postponed`,
+    text: `Hi ${user.name},\n\n${event.name} has been moved to ${formatInTimezone(event.startsAt, event.timezone)} (${event.timezone})${reason ? `: ${reason}` : "."}\n\nYour booking stays valid for the new date. If you can't make it, you can cancel it for a refund.\n`,
+  }));
+
+  return { event, notified };
+};
+
+// events people hold bookings for have to be cancelled before deleting
+const deleteEvent = async (event, user) => {
+  if (event.deletedAt) {
+    throw httpError(404, "Event not found");
+  }
+  const open = await Booking.exists({
+    event: event.id,
+    status: { $in: ["pending", "active"] },
+  });
+  if (open) {
+    throw httpError(
+      409,
+      "This event has open bookings, cancel the event before deleting it"
+    );
+  }
+
+  event.deletedAt = new Date();
+  event.deletedBy = user._id;
+  return event.save();
+};
+
+const restoreEvent = async (event) => {
+  if (!event.deletedAt) {
+    throw httpError(400, "Event is not deleted");
+  }
+  event.deletedAt = undefined;
+  event.deletedBy = undefined;
+  return event.save();
+};
+
+// publishes scheduled events that are due and completes finished ones
+const sweepEventStatuses = async (now = new Date()) => {
+  const published = await Event.updateMany(
+    { status: "scheduled", publishAt: { $lte: now }, deletedAt: null },
+    { status: "published", publishedAt: now, $unset: { publishAt: 1 } }
+  );
+  const completed = await Event.updateMany(
+    { status: { $in: ["published", "postponed"] }, endsAt: { $lte: now } },
+    { status: "completed" }
+  );
+  return {
+    published: published.modifiedCount,
+    completed: completed.modifiedCount,
+  };
+};
+
+const startEventStatusSweeper = (intervalMs = SWEEP_INTERVAL_MS) => {
+  const timer = setInterval(() => {
+    sweepEventStatuses().catch((err) =>
+      console.error("Event status sweeper error:", err)
+    );
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  PUBLIC_STATUSES,
+  TRANSITIONS,
+  publicConditions,
+  canViewEvent,
+  assertBookable,
+  publishEvent,
+  unpublishEvent,
+  cancelEvent,
+  resumeInterruptedCancellations,
+  postponeEvent,
+  deleteEvent,
+  restoreEvent,
+  sweepEventStatuses,
+  startEventStatusSweeper,
+};
@@ -0,0 +1,282 @@
+const Event = require("../models/event.model");
+const { toLocation } = require("./venue.service");
+const { publicConditions } = require("./event-lifecycle.service");
+const escapeRegex = require("../utils/escape-regex");
+const httpError = require("../utils/http-error");
+
+// lower bounds of the price facet's bands, in the event's currency
+const PRICE_BANDS = [0, 25, 50, 100, 250];
+const AUTOCOMPLETE_LIMIT = 10;
+
+// ?tags=jazz,outdoor matches events carrying all of them
+const parseTags = (tags) =>
+  String(tags || "")
+    .split(",")
+    .map((tag) => tag.trim())
+    .filter(Boolean);
+
+// ?lat=&lng= with an optional ?radius= in km, and/or
+// ?bbox=minLng,minLat,maxLng,maxLat
+const parseGeoParams = ({ lat, lng, radius, bbox }) => {
+  const geo = {};
+
+  if (lat !== undefined || lng !== undefined) {
+    geo.near = toLocation({ latitude: lat, longitude: lng });
+    if (radius !== undefined) {
+      const km = Number(radius);
+      if (!(km > 0)) {
+        throw httpError(400, "Radius must be a positive number of km");
+      }
+      geo.maxDistance = km * 1000;
+    }
+  } else if (radius !== undefined) {
+    throw httpError(400, "A radius needs lat and lng");
+  }
+
+  if (bbox !== undefined) {
+    const [minLng, minLat, maxLng, maxLat] = String(bbox).split(",").map(Number);
+    const valid =
+      minLat >= -90 &&
+      maxLat <= 90 &&
+      minLat < maxLat &&
+      minLng >= -180 &&
+      maxLng <= 180 &&
+      minLng < maxLng;
+    if (!valid) {
+      throw httpError(400, "Bounding box must be minLng,minLat,maxLng,maxLat");
+    }
+    geo.within = {
+      $geoWithin: {
+        $geometry: {
+          type: "Polygon",
+          coordinates: [
+            [
+              [minLng, minLat],
+              [maxLng, minLat],
+              [maxLng, maxLat],
+              [minLng, maxLat],
+              [minLng, minLat],
+            ],
+          ],
+        },
+      },
+    };
+  }
+
+  return geo;
+};
+
+// first stages shared by the listing and its facets; $geoNear and $text
+// both have to come first, so they can't be combined
+const matchStages = (query, { near, maxDistance }) => {
+  if (near && query.$text) {
+    throw httpError(400, "Search can't be combined with lat/lng, use bbox");
+  }
+  if (near) {
+    return [
+      {
+        $geoNear: {
+          near,
+          distanceField: "distance",
+          spherical: true,
+          query,
+          ...(maxDistance && { maxDistance }),
+        },
+      },
+    ];
+  }
+  return [
+    { $match: query },
+    ...(query.$text ? [{ $addFields: { score: { $meta: "textScore" } } }] : []),
+  ];
+};
+
+// a page of events for the listing; a plain find unless the request needs
+// relevance, distances or collapsed series, which go through an aggregation.
+// filter is a pagination cursor condition, applied after collapsing.
+// extras maps event id to { relevance, distanceKm, occurrenceCount }
+const findEvents = async (
+  query,
+  {
+    skip,
+    limit,
+    sort,
+    filter,
+    count = true,
+    collapse = false,
+    near,
+    maxDistance,
+  }
+) => {
+  if (!near && !collapse && !query.$text) {
+    const events = await Event.find(filter ? { $and: [query, filter] } : query)
+      .select("-seats")
+      .sort(sort)
+      .skip(skip)
+      .limit(limit)
+      .populate("createdBy", "name email");
+    const total = count ? await Event.countDocuments(query) : undefined;
+    return { events, total, extras: new Map() };
+  }
+
+  const pipeline = matchStages(query, { near, maxDistance });
+  pipeline.push({ $project: { seats: 0 } });
+
+  // one entry per series (its earliest matching occurrence) plus standalone
+  // events, with how many occurrences matched
+  if (collapse) {
+    pipeline.push(
+      { $sort: { startsAt: 1 } },
+      {
+        $group: {
+          _id: { $ifNull: ["$series", "$_id"] },
+          event: { $first: "$$ROOT" },
+          occurrences: { $sum: 1 },
+        },
+      },
+      {
+        $replaceRoot: {
+          newRoot: {
+            $mergeObjects: ["$event", { occurrenceCount: "$occurrences" }],
+          },
+        },
+      }
+    );
+  }
+
+  const [result] = await Event.aggregate([
+    ...pipeline,
+    {
+      $facet: {
+        page: [
+          ...(filter ? [{ $match: filter }] : []),
+          { $sort: { ...sort, _id: sort._id || 1 } },
+          { $skip: skip },
+          { $limit: limit },
+        ],
+        total: count ? [{ $count: "count" }] : [{ $limit: 0 }],
+      },
+    },
+  ]);
+
+  const events = result.page.map((doc) => Event.hydrate(doc));
+  await Event.populate(events, { path: "createdBy", select: "name email" });
+
+  const extras = new Map(
+    result.page.map((doc) => [
+      doc.id,
+      {
+        ...(doc.score !== undefined && {
+          relevance: Math.round(doc.score * 1000) / 1000,
+        }),
+        ...(doc.distance !== undefined && {
+          distanceKm: Math.round(doc.distance) / 1000,
+        }),
+        ...(doc.series && { occurrenceCount: doc.occurrenceCount }),
+      },
+    ])
+  );
+  return {
+    events,
+    total: count ? result.total[0]?.count || 0 : undefined,
+    extras,
+  };
+};
+
+// counts by category, price band and month (in each event's own timezone)
+// for everything the listing query matches
+const facetCounts = async (query, { near, maxDistance } = {}) => {
+  const [result] = await Event.aggregate([
+    ...matchStages(query, { near, maxDistance }),
+    {
+      $facet: {
+        categories: [
+          { $sortByCount: "$category" },
+          { $project: { _id: 0, category: "$_id", count: 1 } },
+        ],
+        // free events get a band of their own, keyed -1
+        priceBands: [
+          {
+            $bucket: {
+              groupBy: { $cond: [{ $eq: ["$price", 0] }, -1, "$price"] },
+              boundaries: [-1, ...PRICE_BANDS, Infinity],
+              output: { count: { $sum: 1 } },
+            },
+          },
+        ],
+        months: [
+          {
+            $group: {
+              _id: {
+                $dateToString: {
+                  format: "%Y-%m",
+                  date: "$startsAt",
+                  timezone: "$timezone",
+                },
+              },
+              count: { $sum: 1 },
+            },
+          },
+          { $sort: { _id: 1 } },
+          { $project: { _id: 0, month: "$_id", count: 1 } },
+        ],
+      },
+    },
+  ]);
+
+  return {
+    categories: result.categories,
+    priceBands: result.priceBands.map((band) =>
+      band._id === -1
+        ? { min: 0, max: 0, count: band.count }
+        : {
+            min: band._id,
+            max: PRICE_BANDS[PRICE_BANDS.indexOf(band._id) + 1] ?? null,
+            count: band.count,
+          }
+    ),
+    months: result.months,
+  };
+};
+
+// prefix suggestions for a search box: upcoming event names plus the
+// categories and tags in use, most common first
+const autocomplete = async (prefix, limit = AUTOCOMPLETE_LIMIT) => {
+  const pattern = new RegExp(`^${escapeRegex(prefix)}`, "i");
+  const visible = publicConditions();
+  const upcoming = { ...visible, startsAt: { $gt: new Date() } };
+
+  const [names, categories, tags] = await Promise.all([
+    Event.find({ ...upcoming, name: pattern })
+      .select("id name")
+      .sort({ startsAt: 1 })
+      .limit(limit)
+      .lean(),
+    Event.aggregate([
+      { $match: { ...visible, category: pattern } },
+      { $sortByCount: "$category" },
+      { $limit: limit },
+    ]),
+    Event.aggregate([
+      { $match: { ...visible, tags: pattern } },
+      { $unwind: "$tags" },
+      { $match: { tags: pattern } },
+      { $sortByCount: "$tags" },
+      { $limit: limit },
+    ]),
+  ]);
+
+  return {
+    names: names.map((event) => ({ id: event.id, name: event.name })),
+    categories: categories.map((entry) => entry._id),
+    tags: tags.map((entry) => entry._id),
+  };
+};
+
+module.exports = {
+  parseTags,
+  parseGeoParams,
+  findEvents,
+  facetCounts,
+  autocomplete,
+};
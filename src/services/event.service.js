@@ -0,0 +1,221 @@
+const Event = require("../models/event.model");
+const {
+  TIER_FIELDS,
+  parseTicketTypes,
+  validateTicketTypes,
+  buildTicketTypes,
+  mergeTicketTypes,
+  summarizeTicketTypes,
+} = require("./ticket-type.service");
+const {
+  SCHEDULE_FIELDS,
+  resolveSchedule,
+  rescheduleEvent,
+} = require("./schedule.service");
+const { toLocation } = require("./venue.service");
+const { inventorySnapshot, resizeInventory } = require("./inventory.service");
+const httpError = require("../utils/http-error");
+
+// ownership and bookkeeping fields can't be changed through an update
+const PROTECTED_FIELDS = [
+  "id",
+  "createdBy",
+  "interestedCount",
+  "series",
+  "venueId",
+  "seating",
+  "seats",
+  "location",
+  "importJob",
+  "importRow",
+  // bookings and payments are already in it
+  "currency",
+  // changed through the lifecycle routes only
+  "status",
+  "publishAt",
+  "publishedAt",
+  "cancelledAt",
+  "cancellationReason",
+  "postponements",
+  "deletedAt",
+  "deletedBy",
+  "cancellation",
+];
+
+// new events start as drafts unless published straight away or scheduled
+const initialStatus = ({ status, publishAt }) => {
+  const at = publishAt && new Date(publishAt);
+  if (at && at > new Date()) {
+    return { status: "scheduled", publishAt: at };
+  }
+  if (status === "published" || at) {
+    return { status: "published", publishedAt: new Date() };
+  }
+  return { status: "draft" };
+};
+
+// an unsaved Event from validated create-route fields
+const buildEvent = (data, { image, createdBy }) => {
+  const event = new Event({
+    name: data.name,
+    description: data.description,
+    category: data.category,
+    ...resolveSchedule(data),
+    venue: data.venue,
+    location: toLocation(data),
+    price: data.price,
+    currency: data.currency,
+    totalTickets: data.totalTickets,
+    image,
+    availableTickets: data.totalTickets,
+    createdBy,
+    tags: data.tags === "" ? [] : data.tags,
+    ticketTypes: data.ticketTypes ? buildTicketTypes(data.ticketTypes) : [],
+    ...initialStatus(data),
+  });
+  summarizeTicketTypes(event);
+  return event;
+};
+
+// seats are tied to their tiers by section name, so reserved-seating events
+// can edit tier details but not add, remove, rename or resize tiers
+const reservedTicketTypes = (event, value) => {
+  const tiers = parseTicketTypes(value);
+  if (tiers.length !== event.ticketTypes.length) {
+    throw httpError(
+      400,
+      "Ticket types of reserved-seating events follow their seat map"
+    );
+  }
+  return tiers.map((tier) => {
+    const existing =
+      tier._id &&
+      event.ticketTypes.find((t) => t._id.toString() === String(tier._id));
+    if (!existing) {
+      throw httpError(
+        400,
+        "Ticket types of reserved-seating events follow their seat map"
+      );
+    }
+    return { ...tier, name: existing.name, capacity: existing.capacity };
+  });
+};
+
+// applies update-route fields to an event without saving it, save it with
+// saveEventUpdate so ticket counts aren't overwritten
+const applyEventUpdate = (event, data, { image } = {}) => {
+  event.$locals.inventory ??= inventorySnapshot(event);
+  const updates = { ...data };
+  // dotted paths like "cancellation.status" count as their top-level field
+  Object.keys(updates).forEach((key) => {
+    if (PROTECTED_FIELDS.includes(key.split(".")[0])) delete updates[key];
+  });
+
+  if (updates.ticketTypes !== undefined && event.seating === "reserved") {
+    updates.ticketTypes = reservedTicketTypes(event, updates.ticketTypes);
+  }
+
+  if (updates.ticketTypes !== undefined) {
+    validateTicketTypes(updates.ticketTypes);
+    mergeTicketTypes(event, updates.ticketTypes);
+    delete updates.ticketTypes;
+  }
+
+  // tiered and reserved-seating events derive these from tiers or seats
+  if (event.ticketTypes.length || event.seating === "reserved") {
+    delete updates.price;
+    delete updates.totalTickets;
+    delete updates.availableTickets;
+  }
+
+  if (updates.totalTickets) {
+    const oldTotalTickets = event.totalTickets;
+    const newTotalTickets = parseInt(updates.totalTickets);
+    const ticketsDifference = newTotalTickets - oldTotalTickets;
+    updates.availableTickets = event.availableTickets + ticketsDifference;
+
+    if (updates.availableTickets < 0) {
+      throw httpError(
+        400,
+        "Cannot reduce total tickets below the number of tickets already booked"
+      );
+    }
+  }
+
+  if (SCHEDULE_FIELDS.some((field) => updates[field] !== undefined)) {
+    const changes = {};
+    SCHEDULE_FIELDS.forEach((field) => {
+      if (updates[field] !== undefined) changes[field] = updates[field];
+      delete updates[field];
+    });
+    // a new start replaces the old date and time entirely
+    if (changes.startsAt) {
+      changes.date = undefined;
+      changes.time = undefined;
+    }
+    Object.assign(updates, rescheduleEvent(event, changes));
+  }
+
+  if (updates.latitude !== undefined || updates.longitude !== undefined) {
+    updates.location = toLocation(updates);
+  }
+  delete updates.latitude;
+  delete updates.longitude;
+
+  if (updates.tags !== undefined) {
+    if (updates.tags === "") {
+      updates.tags = [];
+    }
+  }
+
+  // the image only changes through an upload
+  updates.image = image || event.image;
+
+  Object.assign(event, updates);
+  summarizeTicketTypes(event);
+  return event;
+};
+
+const INVENTORY_PATH = /^(ticketTypes|totalTickets|availableTickets)(\.|$)/;
+
+// saves an event changed by applyEventUpdate: capacity changes go through
+// guarded $inc updates so tickets sold meanwhile aren't oversold, everything
+// else is saved as usual; returns the event as stored
+const saveEventUpdate = async (event) => {
+  const before = event.$locals.inventory || inventorySnapshot(event);
+  await resizeInventory(event, before);
+
+  // tier details of kept tiers, new tiers were stored whole
+  const set = {};
+  const unset = {};
+  const arrayFilters = [];
+  event.ticketTypes
+    .filter((tier) => before.ticketTypes.some((t) => t._id.equals(tier._id)))
+    .forEach((tier) => {
+      const name = `t${arrayFilters.length}`;
+      TIER_FIELDS.forEach((field) => {
+        const path = `ticketTypes.$[${name}].${field}`;
+        if (tier[field] === undefined) unset[path] = 1;
+        else set[path] = tier[field];
+      });
+      arrayFilters.push({ [`${name}._id`]: tier._id });
+    });
+
+  event
+    .modifiedPaths()
+    .filter((path) => INVENTORY_PATH.test(path))
+    .forEach((path) => event.unmarkModified(path));
+  await event.save();
+  if (arrayFilters.length) {
+    await Event.updateOne(
+      { _id: event._id },
+      { $set: set, ...(Object.keys(unset).length && { $unset: unset }) },
+      { arrayFilters }
+    );
+  }
+
+  delete event.$locals.inventory;
+  return Event.findById(event._id);
+};
+
+module.exports = { buildEvent, applyEventUpdate, saveEventUpdate };
@@ -0,0 +1,113 @@
+const Event = require("../models/event.model");
+const Favorite = require("../models/favorite.model");
+
+const isDuplicateKey = (error) => error.code === 11000;
+
+// the event's favorite count, for responses
+const interestedCountOf = async (eventId) =>
+  (await Event.findOne({ id: eventId }).select("interestedCount"))
+    ?.interestedCount ?? 0;
+
+// adding twice is a no-op; the count only moves when a favorite is created
+const addFavorite = async (userId, eventId) => {
+  let added = false;
+  try {
+    const result = await Favorite.updateOne(
+      { user: userId, event: eventId },
+      { $setOnInsert: { user: userId, event: eventId } },
+      { upsert: true }
+    );
+    added = result.upsertedCount > 0;
+  } catch (error) {
+    // a concurrent add of the same favorite won the upsert
+    if (!isDuplicateKey(error)) throw error;
+  }
+
+  if (added) {
+    const event = await Event.findOneAndUpdate(
+      { id: eventId },
+      { $inc: { interestedCount: 1 } },
+      { new: true }
+    ).select("interestedCount");
+    return { added, interestedCount: event?.interestedCount ?? 0 };
+  }
+  return { added, interestedCount: await interestedCountOf(eventId) };
+};
+
+// removing a favorite that isn't there is a no-op as well
+const removeFavorite = async (userId, eventId) => {
+  const result = await Favorite.deleteOne({ user: userId, event: eventId });
+  const removed = result.deletedCount > 0;
+
+  if (removed) {
+    const event = await Event.findOneAndUpdate(
+      { id: eventId, interestedCount: { $gt: 0 } },
+      { $inc: { interestedCount: -1 } },
+      { new: true }
+    ).select("interestedCount");
+    return { removed, interestedCount: event?.interestedCount ?? 0 };
+  }
+  return { removed, interestedCount: await interestedCountOf(eventId) };
+};
+
+// ids of the given events the user has favorited, in one query
+const favoritedEventIds = async (userId, eventIds) => {
+  if (!userId || !eventIds.length) return new Set();
+
+  const favorites = await Favorite.find({
+    user: userId,
+    event: { $in: eventIds },
+  }).select("event");
+  return new Set(favorites.map((favorite) => favorite.event));
+};
+
+// every event id the user has favorited
+const userFavoriteEventIds = (userId) =>
+  Favorite.distinct("event", { user: userId });
+
+// sets interestedCount from the Favorite collection, for the given events
+// or all of them
+const recountFavorites = async (eventIds) => {
+  const counts = await Favorite.aggregate([
+    ...(eventIds ? [{ $match: { event: { $in: eventIds } } }] : []),
+    { $group: { _id: "$event", count: { $sum: 1 } } },
+  ]);
+  const countsById = new Map(counts.map((count) => [count._id, count.count]));
+
+  const events = await Event.find(eventIds ? { id: { $in: eventIds } } : {})
+    .select("id interestedCount")
+    .lean();
+  const updates = events
+    .map((event) => ({ event, count: countsById.get(event.id) || 0 }))
+    .filter(({ event, count }) => event.interestedCount !== count)
+    .map(({ event, count }) => ({
+      updateOne: {
+        filter: { _id: event._id },
+        update: { $set: { interestedCount: count } },
+      },
+    }));
+
+  if (updates.length) {
+    await Event.bulkWrite(updates);
+  }
+  return updates.length;
+};
+
+// drops a user's favorites and takes them off each event's count
+const removeUserFavorites = async (userId) => {
+  const eventIds = await userFavoriteEventIds(userId);
+  if (!eventIds.length) return 0;
+
+  const result = await Favorite.deleteMany({ user: userId });
+  await recountFavorites(eventIds);
+  return result.deletedCount;
+};
+
+module.exports = {
+  addFavorite,
+  removeFavorite,
+  favoritedEventIds,
+  userFavoriteEventIds,
+  recountFavorites,
+  removeUserFavorites,
+};
@@ -0,0 +1,66 @@
+const Booking = require("../models/booking.model");
+const { releaseTickets } = require("./inventory.service");
+const { releasePromoCode } = require("./promo.service");
+
+const HOLD_MINUTES = parseInt(process.env.HOLD_MINUTES) || 10;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const holdExpiry = () => new Date(Date.now() + HOLD_MINUTES * 60 * 1000);
+
+// move a pending hold to the given status and put its tickets back on sale
+const releaseHold = async (filter, status) => {
+  const booking = await Booking.findOneAndUpdate(
+    { ...filter, status: "pending" },
+    { status },
+    { new: true }
+  );
+
+  if (booking) {
+    await releaseTickets(
+      booking.event,
+      booking.quantity,
+      booking.items,
+      booking.seats
+    );
+    if (booking.promoCode) {
+      await releasePromoCode(booking.promoCode, booking.user);
+    }
+  }
+  return booking;
+};
+
+const sweepExpiredHolds = async () => {
+  const now = new Date();
+  const expired = await Booking.find({
+    status: "pending",
+    expiresAt: { $lte: now },
+  }).select("id");
+
+  let released = 0;
+  for (const { id } of expired) {
+    const booking = await releaseHold(
+      { id, expiresAt: { $lte: now } },
+      "expired"
+    );
+    if (booking) released += 1;
+  }
+  return released;
+};
+
+const startHoldSweeper = (intervalMs = SWEEP_INTERVAL_MS) => {
+  const timer = setInterval(() => {
+    sweepExpiredHolds().catch((err) =>
+      console.error("Hold sweeper error:", err)
+    );
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  HOLD_MINUTES,
+  holdExpiry,
+  releaseHold,
+  sweepExpiredHolds,
+  startHoldSweeper,
+};
@@ -0,0 +1,31 @@
+const multer = require("multer");
+const cloudinary = require("cloudinary").v2;
+
+cloudinary.config({
+  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET,
+});
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024,
+  },
+});
+
+// uploads a multer file to Cloudinary and returns its public URL
+const uploadImage = async (file) => {
+  const b64 = Buffer.from(file.buffer).toString("base64");
+  const dataURI = `data:${file.mimetype};base64,${b64}`;
+  const result = await cloudinary.uploader.upload(dataURI);
+  return result.secure_url;
+};
+
+// lets Cloudinary fetch a remote image, returns our copy's URL
+const uploadImageFromUrl = async (url) => {
+  const result = await cloudinary.uploader.upload(url);
+  return result.secure_url;
+};
+
+module.exports = { upload, uploadImage, uploadImageFromUrl };
@@ -0,0 +1,276 @@
+const { EventEmitter } = require("events");
+const Event = require("../models/event.model");
+const Booking = require("../models/booking.model");
+const { releasePromoCode } = require("./promo.service");
+const httpError = require("../utils/http-error");
+
+// tickets stay on sale for a postponed event, at its new date
+const BOOKABLE_STATUSES = ["published", "postponed"];
+
+// emits "released" with the event id whenever tickets go back on sale
+const inventoryEvents = new EventEmitter();
+
+// per-tier $inc and arrayFilters for a list of { ticketType, quantity } items
+const tierUpdate = (items, sign) => {
+  const inc = {};
+  const arrayFilters = items.map((item, i) => {
+    inc[`ticketTypes.$[t${i}].available`] = sign * item.quantity;
+    return { [`t${i}._id`]: item.ticketType };
+  });
+  return { inc, arrayFilters };
+};
+
+// marks the given seat codes taken or free, as $set plus its arrayFilter
+const seatUpdate = (seats, taken) =>
+  seats.length
+    ? {
+        set: { "seats.$[seat].taken": taken },
+        arrayFilters: [{ "seat.code": { $in: seats } }],
+      }
+    : { set: {}, arrayFilters: [] };
+
+// take tickets (and seats) from an event only if it is on sale and all of
+// them are still free, returns null otherwise
+const reserveTickets = (eventId, quantity, items = [], seats = []) => {
+  const { inc, arrayFilters } = tierUpdate(items, -1);
+  const seat = seatUpdate(seats, true);
+  const conditions = [
+    ...items.map((item) => ({
+      ticketTypes: {
+        $elemMatch: { _id: item.ticketType, available: { $gte: item.quantity } },
+      },
+    })),
+    ...seats.map((code) => ({
+      seats: { $elemMatch: { code, taken: false } },
+    })),
+  ];
+  const filters = [...arrayFilters, ...seat.arrayFilters];
+
+  return Event.findOneAndUpdate(
+    {
+      id: eventId,
+      status: { $in: BOOKABLE_STATUSES },
+      deletedAt: null,
+      availableTickets: { $gte: quantity },
+      ...(conditions.length && { $and: conditions }),
+    },
+    {
+      $inc: { availableTickets: -quantity, ...inc },
+      ...(seats.length && { $set: seat.set }),
+    },
+    { new: true, ...(filters.length && { arrayFilters: filters }) }
+  );
+};
+
+// give tickets back without ever going above totalTickets
+const releaseTickets = async (eventId, quantity, items = [], seats = []) => {
+  const { inc, arrayFilters } = tierUpdate(items, 1);
+  const seat = seatUpdate(seats, false);
+  const filters = [...arrayFilters, ...seat.arrayFilters];
+
+  const event = await Event.findOneAndUpdate(
+    {
+      id: eventId,
+      $expr: {
+        $lte: [{ $add: ["$availableTickets", quantity] }, "$totalTickets"],
+      },
+    },
+    {
+      $inc: { availableTickets: quantity, ...inc },
+      ...(seats.length && { $set: seat.set }),
+    },
+    { new: true, ...(filters.length && { arrayFilters: filters }) }
+  );
+
+  if (!event) {
+    // the event is gone or these tickets were already given back, so the
+    // counts no longer match the bookings
+    console.error(
+      `Releasing ${quantity} tickets of event ${eventId} would go above its total, inventory left unchanged`
+    );
+    return null;
+  }
+  inventoryEvents.emit("released", eventId);
+  return event;
+};
+
+const CONFLICT =
+  "Tickets were booked while the event was being edited, please try again";
+
+// ticket totals and tiers before an edit, to work out what it changes
+const inventorySnapshot = (event) => ({
+  totalTickets: event.totalTickets,
+  ticketTypes: event.ticketTypes.map((tier) => tier.toObject()),
+});
+
+// applies the capacity changes between a snapshot and the edited event as
+// guarded $inc, $pull and $push updates, so tickets sold meanwhile are kept
+// and capacity never drops below them; throws a 409 when it would
+const resizeInventory = async (event, before) => {
+  const sameTier = (a) => (b) => String(a._id) === String(b._id);
+  const removed = before.ticketTypes.filter(
+    (tier) => !event.ticketTypes.some(sameTier(tier))
+  );
+  const added = event.ticketTypes.filter(
+    (tier) => !before.ticketTypes.some(sameTier(tier))
+  );
+  const resized = event.ticketTypes
+    .map((tier) => {
+      const previous = before.ticketTypes.find(sameTier(tier));
+      return previous && { tier, delta: tier.capacity - previous.capacity };
+    })
+    .filter((change) => change && change.delta);
+  const sum = (tiers) =>
+    tiers.reduce((total, tier) => total + tier.capacity, 0);
+
+  // only tiers nobody has booked can go
+  if (removed.length) {
+    const pulled = await Event.findOneAndUpdate(
+      {
+        _id: event._id,
+        $and: removed.map((tier) => ({
+          ticketTypes: {
+            $elemMatch: {
+              _id: tier._id,
+              capacity: tier.capacity,
+              available: tier.capacity,
+            },
+          },
+        })),
+      },
+      {
+        $pull: { ticketTypes: { _id: { $in: removed.map((t) => t._id) } } },
+        $inc: {
+          totalTickets: -sum(removed),
+          availableTickets: -sum(removed),
+        },
+      }
+    );
+    if (!pulled) throw httpError(409, CONFLICT);
+  }
+
+  // untiered events resize their total, tiered ones each tier
+  const totalDelta = before.ticketTypes.length
+    ? resized.reduce((total, change) => total + change.delta, 0)
+    : event.ticketTypes.length
+      ? 0
+      : event.totalTickets - before.totalTickets;
+  if (resized.length || totalDelta) {
+    const inc = { totalTickets: totalDelta, availableTickets: totalDelta };
+    const arrayFilters = resized.map(({ tier, delta }, i) => {
+      inc[`ticketTypes.$[t${i}].capacity`] = delta;
+      inc[`ticketTypes.$[t${i}].available`] = delta;
+      return { [`t${i}._id`]: tier._id };
+    });
+    const shrunk = resized
+      .filter(({ delta }) => delta < 0)
+      .map(({ tier, delta }) => ({
+        ticketTypes: {
+          $elemMatch: { _id: tier._id, available: { $gte: -delta } },
+        },
+      }));
+
+    const updated = await Event.findOneAndUpdate(
+      {
+        _id: event._id,
+        ...(totalDelta < 0 && { availableTickets: { $gte: -totalDelta } }),
+        ...(shrunk.length && { $and: shrunk }),
+      },
+      { $inc: inc },
+      arrayFilters.length ? { arrayFilters } : {}
+    );
+    if (!updated) {
+      // unbooked tiers taken off above go back as they were
+      if (removed.length) {
+        await Event.updateOne(
+          { _id: event._id },
+          {
+            $push: { ticketTypes: { $each: removed } },
+            $inc: {
+              totalTickets: sum(removed),
+              availableTickets: sum(removed),
+            },
+          }
+        );
+      }
+      throw httpError(409, CONFLICT);
+    }
+  }
+
+  // new tiers start fully available; an untiered event only becomes tiered
+  // while nothing is booked
+  if (added.length) {
+    const addedCapacity = sum(added);
+    const delta = before.ticketTypes.length
+      ? addedCapacity
+      : addedCapacity - before.totalTickets;
+    const pushed = await Event.findOneAndUpdate(
+      {
+        _id: event._id,
+        ...(!before.ticketTypes.length && {
+          $expr: { $eq: ["$availableTickets", "$totalTickets"] },
+        }),
+      },
+      {
+        $push: { ticketTypes: { $each: added.map((tier) => tier.toObject()) } },
+        $inc: { totalTickets: delta, availableTickets: delta },
+      }
+    );
+    if (!pushed) throw httpError(409, CONFLICT);
+  }
+};
+
+// cancel an active booking and put its tickets back, null if it wasn't active;
+// changes are stored in the same update that cancels it
+const cancelBooking = async (filter, changes = {}) => {
+  const booking = await Booking.findOneAndUpdate(
+    { ...filter, status: "active" },
+    { ...changes, status: "cancelled", cancelledAt: new Date() },
+    { new: true }
+  );
+  if (!booking) return null;
+
+  try {
+    await releaseTickets(
+      booking.event,
+      booking.quantity,
+      booking.items,
+      booking.seats
+    );
+  } catch (error) {
+    await Booking.updateOne(
+      { _id: booking._id },
+      { status: "active", $unset: { ...changes, cancelledAt: 1 } }
+    );
+    throw error;
+  }
+  if (booking.promoCode) {
+    await releasePromoCode(booking.promoCode, booking.user);
+  }
+  return booking;
+};
+
+// tickets held in pending checkouts vs. confirmed sales for one event
+const getTicketCounts = async (eventId) => {
+  const counts = await Booking.aggregate([
+    { $match: { event: eventId, status: { $in: ["pending", "active"] } } },
+    { $group: { _id: "$status", quantity: { $sum: "$quantity" } } },
+  ]);
+
+  const byStatus = Object.fromEntries(counts.map((c) => [c._id, c.quantity]));
+  return {
+    heldTickets: byStatus.pending || 0,
+    soldTickets: byStatus.active || 0,
+  };
+};
+
+module.exports = {
+  BOOKABLE_STATUSES,
+  inventoryEvents,
+  reserveTickets,
+  releaseTickets,
+  inventorySnapshot,
+  resizeInventory,
+  cancelBooking,
+  getTicketCounts,
+};
@@ -0,0 +1,35 @@
+const { getStore } = require("./rate-limit.service");
+
+const MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES) || 5;
+const BASE_LOCKOUT_MS = 60 * 1000;
+const MAX_LOCKOUT_MS = 60 * 60 * 1000;
+const FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const failureKey = (email) => `login-failures:${email}`;
+const lockKey = (email) => `login-lock:${email}`;
+
+// seconds until the account can try again, 0 when it isn't locked
+const getLockout = async (email) => {
+  const lock = await getStore().get(lockKey(email));
+  if (!lock) return 0;
+  return Math.max(Math.ceil((lock.resetAt.getTime() - Date.now()) / 1000), 0);
+};
+
+// every failure past the limit doubles the lockout, up to an hour
+const recordFailure = async (email) => {
+  const store = getStore();
+  const { count } = await store.increment(failureKey(email), FAILURE_WINDOW_MS);
+  if (count < MAX_FAILURES) return 0;
+
+  const lockoutMs = Math.min(
+    BASE_LOCKOUT_MS * 2 ** (count - MAX_FAILURES),
+    MAX_LOCKOUT_MS
+  );
+  await store.reset(lockKey(email));
+  await store.increment(lockKey(email), lockoutMs);
+  return Math.ceil(lockoutMs / 1000);
+};
+
+const recordSuccess = (email) => getStore().reset(failureKey(email));
+
+module.exports = { getLockout, recordFailure, recordSuccess };
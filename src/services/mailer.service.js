@@ -0,0 +1,81 @@
+const fs = require("fs/promises");
+const path = require("path");
+const nodemailer = require("nodemailer");
+
+// every transport exposes send({ from, to, subject, text, html })
+const transports = {
+  smtp: () => {
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+    return { send: (message) => transporter.sendMail(message) };
+  },
+
+  // keeps sent mail in `outbox` so tests can read it back
+  memory: () => {
+    const outbox = [];
+    return {
+      outbox,
+      send: async (message) => {
+        outbox.push({ ...message, sentAt: new Date() });
+      },
+    };
+  },
+
+  // prints each message, the default with NODE_ENV=development
+  log: () => ({
+    send: async (message) => {
+      console.log(
+        `Mail to ${message.to}: ${message.subject}\n\n${message.text || ""}`
+      );
+    },
+  }),
+
+  // writes one JSON file per message, handy for local development
+  file: () => {
+    const dir = process.env.MAIL_FILE_DIR || path.join(process.cwd(), "mail");
+    return {
+      send: async (message) => {
+        await fs.mkdir(dir, { recursive: true });
+        const name = `${Date.now()}-${message.to.replace(/[^a-z0-9]/gi, "_")}.json`;
+        await fs.writeFile(path.join(dir, name), JSON.stringify(message, null, 2));
+      },
+    };
+  },
+};
+
+let transport;
+
+// without SMTP settings, mail is kept in memory under tests and printed with
+// NODE_ENV=development; anywhere else the app refuses to start rather than
+// lose mail or print the tokens in it
+const defaultTransport = () => {
+  if (process.env.SMTP_HOST) return "smtp";
+  if (process.env.NODE_ENV === "test") return "memory";
+  if (process.env.NODE_ENV === "development") return "log";
+  throw new Error("Set SMTP_HOST or MAIL_TRANSPORT to send mail");
+};
+
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || defaultTransport();
+    if (!transports[name]) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    transport = transports[name]();
+  }
+  return transport;
+};
+
+const sendMail = (message) =>
+  getTransport().send({
+    from: process.env.MAIL_FROM || "Eventora <no-reply@eventora.app>",
+    ...message,
+  });
+
+module.exports = { getTransport, sendMail };
@@ -0,0 +1,204 @@
+const Booking = require("../models/booking.model");
+const { cancelBooking } = require("./inventory.service");
+const { releaseHold } = require("./hold.service");
+
+// every provider implements createIntent, refund and verifyWebhook; refund
+// takes an idempotency key so a retried refund is only paid out once
+const providers = {
+  fake: require("./providers/fake.provider"),
+};
+
+// the fake provider charges nobody, so it's only picked by default under
+// tests and with NODE_ENV=development
+const defaultProvider = () => {
+  if (["test", "development"].includes(process.env.NODE_ENV)) return "fake";
+  throw new Error("Set PAYMENT_PROVIDER to take payments");
+};
+
+const getProvider = () => {
+  const name = process.env.PAYMENT_PROVIDER || defaultProvider();
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  return provider;
+};
+
+const toMinorUnits = (amount) => Math.round(amount * 100);
+
+// creates an intent for a saved booking, returns the client secret or null if free
+const startPayment = async (booking, currency) => {
+  if (booking.totalPrice <= 0) return null;
+
+  const provider = getProvider();
+  const intent = await provider.createIntent({
+    amount: toMinorUnits(booking.totalPrice),
+    currency,
+    metadata: { bookingId: booking.id },
+  });
+
+  booking.payment = {
+    status: "requires_payment",
+    provider: provider.name,
+    reference: intent.id,
+    currency,
+  };
+  await booking.save();
+  return intent.clientSecret;
+};
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+const MAX_REFUND_ATTEMPTS = 5;
+// a refund still "refunding" after this long was cut off mid-call
+const REFUND_STALE_MS = 10 * 60 * 1000;
+
+const staleBefore = () => new Date(Date.now() - REFUND_STALE_MS);
+
+// refunds a paid booking, anything else is returned untouched; a refund the
+// provider rejects is recorded as refund_failed for the sweeper to retry
+const refundBooking = async (booking) => {
+  const claimed = await Booking.findOneAndUpdate(
+    {
+      _id: booking._id,
+      $or: [
+        { "payment.status": { $in: ["paid", "refund_failed"] } },
+        { "payment.status": "refunding", updatedAt: { $lte: staleBefore() } },
+      ],
+    },
+    { "payment.status": "refunding", $inc: { "payment.refundAttempts": 1 } },
+    { new: true }
+  );
+  // not paid, or another caller is refunding it right now
+  if (!claimed) return Booking.findById(booking._id);
+
+  try {
+    // the same key on every attempt, a retry after a refund that went
+    // through but wasn't recorded gets the earlier refund back
+    const refund = await getProvider().refund(
+      claimed.payment.reference,
+      toMinorUnits(claimed.totalPrice),
+      { idempotencyKey: `refund-${claimed._id}` }
+    );
+    return Booking.findOneAndUpdate(
+      { _id: claimed._id, "payment.status": "refunding" },
+      {
+        "payment.status": "refunded",
+        "payment.refundReference": refund.id,
+        $unset: { "payment.refundError": 1 },
+      },
+      { new: true }
+    );
+  } catch (error) {
+    console.error(`Refund of booking ${claimed.id} failed:`, error);
+    return Booking.findOneAndUpdate(
+      { _id: claimed._id, "payment.status": "refunding" },
+      {
+        "payment.status": "refund_failed",
+        "payment.refundError": error.message,
+      },
+      { new: true }
+    );
+  }
+};
+
+// refunds cancelled and expired bookings whose money is still held: failed
+// refunds, and refunds that never started or were cut off by a restart
+const retryRefunds = async () => {
+  const due = await Booking.find({
+    status: { $in: ["cancelled", "expired"] },
+    $or: [
+      {
+        "payment.status": "refund_failed",
+        "payment.refundAttempts": { $lt: MAX_REFUND_ATTEMPTS },
+      },
+      {
+        "payment.status": { $in: ["paid", "refunding"] },
+        updatedAt: { $lte: staleBefore() },
+      },
+    ],
+  }).select("_id");
+
+  let refunded = 0;
+  for (const { _id } of due) {
+    const booking = await refundBooking({ _id });
+    if (booking?.payment?.status === "refunded") refunded += 1;
+  }
+  return refunded;
+};
+
+const startRefundSweeper = (intervalMs = SWEEP_INTERVAL_MS) => {
+  const timer = setInterval(() => {
+    retryRefunds().catch((err) => console.error("Refund sweeper error:", err));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+const verifyWebhook = (rawBody, signature) =>
+  getProvider().verifyWebhook(
+    rawBody,
+    signature,
+    process.env.PAYMENT_WEBHOOK_SECRET
+  );
+
+// payment status only moves out of requires_payment once, so replays are no-ops
+const handlePaymentSucceeded = async (reference) => {
+  const booking = await Booking.findOneAndUpdate(
+    { "payment.reference": reference, "payment.status": "requires_payment" },
+    { "payment.status": "paid" },
+    { new: true }
+  );
+  if (!booking) return null;
+
+  if (booking.status === "pending") {
+    const confirmed = await Booking.findOneAndUpdate(
+      { _id: booking._id, status: "pending" },
+      { status: "active" },
+      { new: true }
+    );
+    if (confirmed) return confirmed;
+  }
+
+  // the hold ran out before the money arrived, so hand it back
+  const current = await Booking.findById(booking._id);
+  if (current.status !== "active") {
+    return refundBooking(current);
+  }
+  return current;
+};
+
+const handlePaymentFailed = async (reference) => {
+  const booking = await Booking.findOneAndUpdate(
+    { "payment.reference": reference, "payment.status": "requires_payment" },
+    { "payment.status": "failed" },
+    { new: true }
+  );
+  if (!booking) return null;
+
+  if (booking.status === "pending") {
+    return releaseHold({ _id: booking._id }, "cancelled");
+  }
+  return cancelBooking({ _id: booking._id });
+};
+
+const handleWebhookEvent = async (event) => {
+  const reference = event.data?.reference;
+  switch (event.type) {
+    case "payment.succeeded":
+      return handlePaymentSucceeded(reference);
+    case "payment.failed":
+      return handlePaymentFailed(reference);
+    default:
+      return null;
+  }
+};
+
+module.exports = {
+  getProvider,
+  startPayment,
+  refundBooking,
+  retryRefunds,
+  startRefundSweeper,
+  verifyWebhook,
+  handleWebhookEvent,
+};
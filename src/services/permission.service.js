@@ -0,0 +1,51 @@
+const EventMember = require("../models/event-member.model");
+
+// which roles grant each permission; "owner" is the event's createdBy and
+// "co-organizer"/"staff" come from EventMember, the rest are User.role
+const PERMISSIONS = {
+  "event:create": ["admin", "organizer"],
+  "event:update": ["admin", "owner", "co-organizer"],
+  "event:publish": ["admin", "owner", "co-organizer"],
+  "event:cancel": ["admin", "owner"],
+  "event:delete": ["admin", "owner"],
+  "event:manage-members": ["admin", "owner"],
+  "event:check-in": ["admin", "owner", "co-organizer", "staff"],
+  "event:view-attendance": ["admin", "owner", "co-organizer"],
+  "roles:manage": ["admin"],
+  "users:manage": ["admin"],
+  "analytics:view": ["admin", "organizer"],
+  "events:import": ["admin"],
+  "events:restore": ["admin"],
+  "venues:manage": ["admin", "organizer"],
+};
+
+// the user's global role plus whatever they are on the given event
+const getRoles = async (user, event) => {
+  const roles = [user.role];
+  if (!event) return roles;
+
+  if (event.createdBy && event.createdBy.toString() === user._id.toString()) {
+    roles.push("owner");
+  }
+
+  const membership = await EventMember.findOne({
+    event: event.id,
+    user: user._id,
+  });
+  if (membership) {
+    roles.push(membership.role);
+  }
+  return roles;
+};
+
+const hasPermission = async (user, permission, event) => {
+  const allowed = PERMISSIONS[permission];
+  if (!allowed) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+
+  const roles = await getRoles(user, event);
+  return roles.some((role) => allowed.includes(role));
+};
+
+module.exports = { PERMISSIONS, getRoles, hasPermission };
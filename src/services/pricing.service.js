@@ -0,0 +1,173 @@
+const httpError = require("../utils/http-error");
+const {
+  findApplicablePromo,
+  calculateDiscount,
+} = require("./promo.service");
+const { assertBookable } = require("./event-lifecycle.service");
+
+const findTicketType = (event, ticketTypeId) =>
+  event.ticketTypes.find((tier) => tier._id.toString() === String(ticketTypeId));
+
+const checkOnSale = (tier, quantity, now) => {
+  if (tier.salesStart && now < tier.salesStart) {
+    throw httpError(400, `${tier.name} tickets are not on sale yet`);
+  }
+  if (tier.salesEnd && now > tier.salesEnd) {
+    throw httpError(400, `${tier.name} ticket sales have ended`);
+  }
+  if (tier.maxPerOrder && quantity > tier.maxPerOrder) {
+    throw httpError(
+      400,
+      `At most ${tier.maxPerOrder} ${tier.name} tickets can be booked per order`
+    );
+  }
+};
+
+// reserved seating: one ticket per chosen seat, priced by the seat's tier;
+// seats come back grouped in line-item order so tickets line up with them
+const buildSeatLineItems = (event, seatIds) => {
+  if (!Array.isArray(seatIds) || !seatIds.length) {
+    throw httpError(400, "Please choose your seats for this event");
+  }
+  if (new Set(seatIds).size !== seatIds.length) {
+    throw httpError(400, "Each seat can only be booked once per order");
+  }
+
+  const seats = seatIds.map((code) => {
+    const seat = event.seats.find((s) => s.code === String(code));
+    if (!seat) {
+      throw httpError(400, `Unknown seat: ${code}`);
+    }
+    return seat;
+  });
+
+  if (!event.ticketTypes.length) {
+    return {
+      items: [],
+      quantity: seats.length,
+      totalPrice: event.price * seats.length,
+      seats: seats.map((seat) => seat.code),
+    };
+  }
+
+  const now = new Date();
+  const lines = [];
+  const ordered = [];
+  event.ticketTypes.forEach((tier) => {
+    const tierSeats = seats.filter((seat) => seat.ticketType?.equals(tier._id));
+    if (!tierSeats.length) return;
+
+    checkOnSale(tier, tierSeats.length, now);
+    lines.push({
+      ticketType: tier._id,
+      name: tier.name,
+      unitPrice: tier.price,
+      quantity: tierSeats.length,
+    });
+    ordered.push(...tierSeats.map((seat) => seat.code));
+  });
+  if (ordered.length !== seats.length) {
+    throw httpError(400, "Some of those seats are not on sale");
+  }
+
+  return {
+    items: lines,
+    quantity: ordered.length,
+    totalPrice: lines.reduce(
+      (sum, line) => sum + line.unitPrice * line.quantity,
+      0
+    ),
+    seats: ordered,
+  };
+};
+
+// turn a booking request into priced line items for the given event
+const buildLineItems = (event, { quantity, items, seats }) => {
+  if (event.seating === "reserved") {
+    return buildSeatLineItems(event, seats);
+  }
+  if (seats?.length) {
+    throw httpError(400, "This event doesn't have reserved seating");
+  }
+
+  if (!event.ticketTypes.length) {
+    if (items?.length) {
+      throw httpError(400, "This event has no ticket types");
+    }
+    const total = parseInt(quantity);
+    return {
+      items: [],
+      quantity: total,
+      totalPrice: event.price * total,
+      seats: [],
+    };
+  }
+
+  if (!items?.length) {
+    throw httpError(400, "Please choose a ticket type for this event");
+  }
+
+  const seen = new Set();
+  const now = new Date();
+  const lines = items.map((item) => {
+    const tier = findTicketType(event, item.ticketType);
+    if (!tier) {
+      throw httpError(400, `Unknown ticket type: ${item.ticketType}`);
+    }
+    if (seen.has(tier._id.toString())) {
+      throw httpError(400, "Each ticket type can only appear once per order");
+    }
+    seen.add(tier._id.toString());
+
+    const lineQuantity = parseInt(item.quantity);
+    checkOnSale(tier, lineQuantity, now);
+
+    return {
+      ticketType: tier._id,
+      name: tier.name,
+      unitPrice: tier.price,
+      quantity: lineQuantity,
+    };
+  });
+
+  return {
+    items: lines,
+    quantity: lines.reduce((sum, line) => sum + line.quantity, 0),
+    totalPrice: lines.reduce(
+      (sum, line) => sum + line.unitPrice * line.quantity,
+      0
+    ),
+    seats: [],
+  };
+};
+
+// full price breakdown for a booking request, used for both quotes and bookings
+const quoteBooking = async (event, body, userId) => {
+  assertBookable(event);
+  const {
+    items,
+    quantity,
+    seats,
+    totalPrice: originalPrice,
+  } = buildLineItems(event, body);
+
+  let discount = 0;
+  let promoCode;
+  if (body.promoCode) {
+    const promo = await findApplicablePromo(body.promoCode, event, userId);
+    discount = calculateDiscount(promo, originalPrice);
+    promoCode = promo.code;
+  }
+
+  return {
+    items,
+    quantity,
+    seats,
+    originalPrice,
+    discount,
+    totalPrice: Math.round((originalPrice - discount) * 100) / 100,
+    promoCode,
+  };
+};
+
+module.exports = { findTicketType, buildLineItems, quoteBooking };
@@ -0,0 +1,128 @@
+const PromoCode = require("../models/promo-code.model");
+const PromoRedemption = require("../models/promo-redemption.model");
+const httpError = require("../utils/http-error");
+
+const roundPrice = (value) => Math.round(value * 100) / 100;
+
+// throws a 400 explaining why the code can't be used for this booking
+const findApplicablePromo = async (code, event, userId) => {
+  const promo = await PromoCode.findOne({
+    code: String(code).trim().toUpperCase(),
+    active: true,
+  });
+  if (!promo) {
+    throw httpError(400, "Invalid promo code");
+  }
+
+  const now = new Date();
+  if (
+    (promo.validFrom && now < promo.validFrom) ||
+    (promo.validUntil && now > promo.validUntil)
+  ) {
+    throw httpError(400, "Promo code is not valid at this time");
+  }
+
+  const scoped = promo.events.length || promo.categories.length;
+  if (
+    scoped &&
+    !promo.events.includes(event.id) &&
+    !promo.categories.includes(event.category)
+  ) {
+    throw httpError(400, "Promo code does not apply to this event");
+  }
+
+  if (promo.maxUses && promo.usedCount >= promo.maxUses) {
+    throw httpError(400, "Promo code usage limit reached");
+  }
+
+  if (promo.maxUsesPerUser && userId) {
+    const redemption = await PromoRedemption.findOne({
+      code: promo.code,
+      user: userId,
+    });
+    if ((redemption?.count || 0) >= promo.maxUsesPerUser) {
+      throw httpError(400, "You have already used this promo code");
+    }
+  }
+
+  return promo;
+};
+
+const calculateDiscount = (promo, subtotal) => {
+  const discount =
+    promo.discountType === "percentage"
+      ? (subtotal * promo.amount) / 100
+      : promo.amount;
+  return roundPrice(Math.min(discount, subtotal));
+};
+
+const isDuplicateKey = (error) => error.code === 11000;
+
+// counts one more use by the user, false when that would pass the per-user
+// limit; the upsert only inserts when the user has no uses yet, so parallel
+// requests can't both slip under the limit
+const redeemForUser = async (code, userId, maxUsesPerUser) => {
+  try {
+    const redemption = await PromoRedemption.findOneAndUpdate(
+      {
+        code,
+        user: userId,
+        ...(maxUsesPerUser && { count: { $lt: maxUsesPerUser } }),
+      },
+      { $inc: { count: 1 } },
+      { new: true, upsert: true }
+    );
+    return !!redemption;
+  } catch (error) {
+    // the user's document exists but is at the limit
+    if (isDuplicateKey(error)) return false;
+    throw error;
+  }
+};
+
+// take one use of the code, null when the overall cap was hit in the
+// meantime; throws a 400 when the user's own limit was
+const redeemPromoCode = async (code, userId) => {
+  const promo = await PromoCode.findOneAndUpdate(
+    {
+      code,
+      $or: [
+        { maxUses: { $exists: false } },
+        { maxUses: null },
+        { $expr: { $lt: ["$usedCount", "$maxUses"] } },
+      ],
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  );
+  if (!promo || !userId) return promo;
+
+  if (!(await redeemForUser(code, userId, promo.maxUsesPerUser))) {
+    await PromoCode.updateOne(
+      { code, usedCount: { $gt: 0 } },
+      { $inc: { usedCount: -1 } }
+    );
+    throw httpError(400, "You have already used this promo code");
+  }
+  return promo;
+};
+
+const releasePromoCode = async (code, userId) => {
+  await PromoCode.updateOne(
+    { code, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } }
+  );
+  if (userId) {
+    await PromoRedemption.updateOne(
+      { code, user: userId, count: { $gt: 0 } },
+      { $inc: { count: -1 } }
+    );
+  }
+};
+
+module.exports = {
+  findApplicablePromo,
+  calculateDiscount,
+  redeemPromoCode,
+  releasePromoCode,
+};
@@ -0,0 +1,57 @@
+const crypto = require("crypto");
+
+// in-memory provider for local development and tests, nobody gets charged
+const intents = new Map();
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString("hex")}`;
+
+const createIntent = async ({ amount, currency, metadata }) => {
+  const id = randomId("fake_pi");
+  const intent = {
+    id,
+    amount,
+    currency,
+    metadata,
+    status: "requires_payment",
+    clientSecret: `${id}_secret_${crypto.randomBytes(8).toString("hex")}`,
+  };
+  intents.set(id, intent);
+  return intent;
+};
+
+const refunds = new Map();
+
+// repeating an idempotency key returns the first refund instead of a new one
+const refund = async (reference, amount, { idempotencyKey } = {}) => {
+  if (idempotencyKey && refunds.has(idempotencyKey)) {
+    return refunds.get(idempotencyKey);
+  }
+  const intent = intents.get(reference);
+  if (intent) intent.status = "refunded";
+  const result = {
+    id: randomId("fake_re"),
+    reference,
+    amount,
+    status: "succeeded",
+  };
+  if (idempotencyKey) refunds.set(idempotencyKey, result);
+  return result;
+};
+
+const sign = (payload, secret) =>
+  crypto.createHmac("sha256", secret).update(payload).digest("hex");
+
+// returns the parsed event, throws if the signature doesn't match
+const verifyWebhook = (rawBody, signature, secret) => {
+  const expected = Buffer.from(sign(rawBody, secret));
+  const received = Buffer.from(signature || "");
+  if (
+    expected.length !== received.length ||
+    !crypto.timingSafeEqual(expected, received)
+  ) {
+    throw new Error("Invalid webhook signature");
+  }
+  return JSON.parse(rawBody.toString());
+};
+
+module.exports = { name: "fake", createIntent, refund, sign, verifyWebhook };
@@ -0,0 +1,107 @@
+const RateLimit = require("../models/rate-limit.model");
+
+// a store implements increment(key, windowMs), get(key) and reset(key),
+// each resolving to { count, resetAt } (get resolves to null when unset)
+const createMemoryStore = () => {
+  const counters = new Map();
+
+  const live = (key) => {
+    const entry = counters.get(key);
+    if (entry && entry.resetAt <= new Date()) {
+      counters.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  const cleanup = setInterval(() => {
+    for (const key of counters.keys()) live(key);
+  }, 60 * 1000);
+  cleanup.unref();
+
+  return {
+    increment: async (key, windowMs) => {
+      const entry = live(key) || {
+        count: 0,
+        resetAt: new Date(Date.now() + windowMs),
+      };
+      entry.count += 1;
+      counters.set(key, entry);
+      return { ...entry };
+    },
+    get: async (key) => {
+      const entry = live(key);
+      return entry ? { ...entry } : null;
+    },
+    reset: async (key) => {
+      counters.delete(key);
+    },
+  };
+};
+
+const createMongoStore = () => {
+  // one atomic update that either bumps the live window or starts a new one
+  const bump = (key, windowMs) => {
+    const now = new Date();
+    const live = { $gt: ["$resetAt", now] };
+    return RateLimit.findOneAndUpdate(
+      { key },
+      [
+        {
+          $set: {
+            count: { $cond: [live, { $add: ["$count", 1] }, 1] },
+            resetAt: {
+              $cond: [live, "$resetAt", new Date(now.getTime() + windowMs)],
+            },
+          },
+        },
+      ],
+      { upsert: true, new: true }
+    );
+  };
+
+  return {
+    increment: async (key, windowMs) => {
+      let entry;
+      try {
+        entry = await bump(key, windowMs);
+      } catch (error) {
+        // two first hits raced on the upsert, the retry finds the document
+        if (error.code !== 11000) throw error;
+        entry = await bump(key, windowMs);
+      }
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+    get: async (key) => {
+      const entry = await RateLimit.findOne({
+        key,
+        resetAt: { $gt: new Date() },
+      });
+      return entry ? { count: entry.count, resetAt: entry.resetAt } : null;
+    },
+    reset: async (key) => {
+      await RateLimit.deleteOne({ key });
+    },
+  };
+};
+
+const stores = {
+  memory: createMemoryStore,
+  mongo: createMongoStore,
+};
+
+let defaultStore;
+
+// RATE_LIMIT_STORE=mongo shares limits between instances
+const getStore = () => {
+  if (!defaultStore) {
+    const name = process.env.RATE_LIMIT_STORE || "memory";
+    if (!stores[name]) {
+      throw new Error(`Unknown rate limit store: ${name}`);
+    }
+    defaultStore = stores[name]();
+  }
+  return defaultStore;
+};
+
+module.exports = { createMemoryStore, createMongoStore, getStore };
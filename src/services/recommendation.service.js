@@ -0,0 +1,250 @@
+const Event = require("../models/event.model");
+const Booking = require("../models/booking.model");
+const Favorite = require("../models/favorite.model");
+const { scheduleConditions } = require("./schedule.service");
+const { userFavoriteEventIds } = require("./favorite.service");
+const { BOOKABLE_STATUSES } = require("./inventory.service");
+
+// how much each signal counts towards an event's score, out of 1
+const WEIGHTS = {
+  category: 0.35,
+  tags: 0.2,
+  coFavorites: 0.3,
+  popularity: 0.15,
+};
+// a booking says more about someone's taste than a favorite
+const BOOKING_WEIGHT = 2;
+const FAVORITE_WEIGHT = 1;
+// users sharing the most favorites with this one, and events considered
+const NEIGHBOR_LIMIT = 50;
+const CANDIDATE_LIMIT = 200;
+
+// category and tag weights from the events someone booked or favorited,
+// scaled so their strongest interest is 1
+const buildAffinity = ({ booked = [], favorites = [] }) => {
+  const categories = new Map();
+  const tags = new Map();
+  const add = (map, key, weight) => map.set(key, (map.get(key) || 0) + weight);
+
+  const weighted = [
+    ...booked.map((event) => [event, BOOKING_WEIGHT]),
+    ...favorites.map((event) => [event, FAVORITE_WEIGHT]),
+  ];
+  for (const [event, weight] of weighted) {
+    if (event.category) add(categories, event.category, weight);
+    for (const tag of event.tags || []) add(tags, tag, weight);
+  }
+
+  const scale = (map) => {
+    const max = Math.max(0, ...map.values());
+    return new Map([...map].map(([key, value]) => [key, value / max]));
+  };
+  return { categories: scale(categories), tags: scale(tags) };
+};
+
+// candidates: [{ id, category, tags, interestedCount, coFavorites }], where
+// coFavorites is how many similar users favorited the event; returns them
+// best first with a score and the signals that contributed to it
+const scoreEvents = (candidates, affinity) => {
+  const maxInterest = Math.max(
+    0,
+    ...candidates.map((event) => event.interestedCount || 0)
+  );
+  const maxCoFavorites = Math.max(
+    0,
+    ...candidates.map((event) => event.coFavorites || 0)
+  );
+
+  return candidates
+    .map((event) => {
+      const signals = {
+        category: affinity.categories.get(event.category) || 0,
+        tags: Math.max(
+          0,
+          ...(event.tags || []).map((tag) => affinity.tags.get(tag) || 0)
+        ),
+        coFavorites: maxCoFavorites
+          ? (event.coFavorites || 0) / maxCoFavorites
+          : 0,
+        // log scale so a few very popular events don't drown out the rest
+        popularity: maxInterest
+          ? Math.log1p(event.interestedCount || 0) / Math.log1p(maxInterest)
+          : 0,
+      };
+      const score = Object.entries(WEIGHTS).reduce(
+        (sum, [signal, weight]) => sum + weight * signals[signal],
+        0
+      );
+
+      return {
+        ...event,
+        score: Math.round(score * 1000) / 1000,
+        reasons: Object.keys(WEIGHTS).filter((signal) => signals[signal] > 0),
+      };
+    })
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        (b.interestedCount || 0) - (a.interestedCount || 0) ||
+        a.id - b.id
+    );
+};
+
+// drops events the user can't or needn't book: already booked, sold out,
+// started, deleted or not on sale; loadCandidates queries for the same
+const eligibleEvents = (events, { bookedIds = [] }, now = new Date()) =>
+  events.filter(
+    (event) =>
+      !bookedIds.includes(event.id) &&
+      event.availableTickets > 0 &&
+      new Date(event.startsAt) > now &&
+      BOOKABLE_STATUSES.includes(event.status) &&
+      !event.deletedAt
+  );
+
+// the eligible candidates, best first, with their scores
+const rankEvents = (candidates, profile, now = new Date()) =>
+  scoreEvents(eligibleEvents(candidates, profile, now), buildAffinity(profile));
+
+// what the user has booked and favorited, with the users who share the most
+// favorites with them
+const loadProfile = async (userId) => {
+  const bookings = await Booking.find({
+    user: userId,
+    status: { $in: ["pending", "active"] },
+  }).select("event status");
+  const bookedIds = [...new Set(bookings.map((booking) => booking.event))];
+  const favoriteIds = await userFavoriteEventIds(userId);
+
+  const [booked, favorites, neighbors] = await Promise.all([
+    Event.find({
+      id: {
+        $in: bookings
+          .filter((booking) => booking.status === "active")
+          .map((booking) => booking.event),
+      },
+    }).select("id category tags"),
+    Event.find({ id: { $in: favoriteIds } }).select("id category tags"),
+    favoriteIds.length
+      ? Favorite.aggregate([
+          { $match: { event: { $in: favoriteIds }, user: { $ne: userId } } },
+          { $group: { _id: "$user", shared: { $sum: 1 } } },
+          { $sort: { shared: -1, _id: 1 } },
+          { $limit: NEIGHBOR_LIMIT },
+        ])
+      : [],
+  ]);
+
+  return {
+    bookedIds,
+    booked,
+    favorites,
+    neighborIds: neighbors.map((neighbor) => neighbor._id),
+  };
+};
+
+// how many of the given users favorited each event, by event id
+const countFavorites = async (userIds, match = {}, limit) => {
+  if (!userIds.length) return new Map();
+
+  const counts = await Favorite.aggregate([
+    { $match: { ...match, user: { $in: userIds } } },
+    { $group: { _id: "$event", count: { $sum: 1 } } },
+    ...(limit ? [{ $sort: { count: -1, _id: 1 } }, { $limit: limit }] : []),
+  ]);
+  return new Map(counts.map((count) => [count._id, count.count]));
+};
+
+// upcoming events on sale that still have tickets, matching the user's
+// interests or popular overall, with how many of their neighbors favorited each
+const loadCandidates = async (profile, affinity) => {
+  const { bookedIds = [], neighborIds = [] } = profile;
+  const base = {
+    $and: scheduleConditions({ when: "upcoming" }),
+    status: { $in: BOOKABLE_STATUSES },
+    deletedAt: null,
+    availableTickets: { $gt: 0 },
+    ...(bookedIds.length && { id: { $nin: bookedIds } }),
+  };
+  const find = (match) =>
+    Event.find(match)
+      .select(
+        "id category tags interestedCount availableTickets startsAt status deletedAt"
+      )
+      .sort({ interestedCount: -1, startsAt: 1, _id: 1 })
+      .limit(CANDIDATE_LIMIT)
+      .lean();
+
+  // only favorites of events that could still be recommended count, so past
+  // events don't crowd them out
+  const neighborFavorites = neighborIds.length
+    ? await countFavorites(
+        neighborIds,
+        { event: { $in: await Event.distinct("id", base) } },
+        CANDIDATE_LIMIT
+      )
+    : new Map();
+  const interests = [
+    ...(affinity.categories.size
+      ? [{ category: { $in: [...affinity.categories.keys()] } }]
+      : []),
+    ...(affinity.tags.size
+      ? [{ tags: { $in: [...affinity.tags.keys()] } }]
+      : []),
+    ...(neighborFavorites.size
+      ? [{ id: { $in: [...neighborFavorites.keys()] } }]
+      : []),
+  ];
+  const [matching, popular] = await Promise.all([
+    interests.length ? find({ ...base, $or: interests }) : [],
+    find(base),
+  ]);
+
+  const byId = new Map(
+    [...popular, ...matching].map((event) => [event.id, event])
+  );
+  const coFavorites = await countFavorites(neighborIds, {
+    event: { $in: [...byId.keys()] },
+  });
+  return [...byId.values()].map((event) => ({
+    ...event,
+    coFavorites: coFavorites.get(event.id) || 0,
+  }));
+};
+
+// best upcoming events for a user, or the most popular ones for anonymous
+// visitors and users with no history yet
+const recommendEvents = async (userId, { limit }) => {
+  const profile = userId ? await loadProfile(userId) : {};
+  const candidates = await loadCandidates(profile, buildAffinity(profile));
+  const ranked = rankEvents(candidates, profile).slice(0, limit);
+
+  const events = await Event.find({
+    id: { $in: ranked.map((event) => event.id) },
+  })
+    .select("-seats")
+    .populate("createdBy", "name email");
+  const eventsById = new Map(events.map((event) => [event.id, event]));
+
+  return {
+    personalized: Boolean(
+      profile.booked?.length || profile.favorites?.length
+    ),
+    recommendations: ranked
+      .filter((event) => eventsById.has(event.id))
+      .map(({ id, score, reasons }) => ({
+        event: eventsById.get(id),
+        score,
+        reasons,
+      })),
+  };
+};
+
+module.exports = {
+  WEIGHTS,
+  buildAffinity,
+  scoreEvents,
+  eligibleEvents,
+  rankEvents,
+  recommendEvents,
+};
@@ -0,0 +1,160 @@
+const {
+  getZonedParts,
+  zonedTimeToUtc,
+  isValidTimezone,
+} = require("../utils/timezone");
+const httpError = require("../utils/http-error");
+
+const DEFAULT_TIMEZONE = process.env.EVENT_TIMEZONE || "UTC";
+const DEFAULT_DURATION_MINUTES =
+  (parseInt(process.env.EVENT_DEFAULT_DURATION_HOURS) || 2) * 60;
+
+// fields that move an event in time, whichever form they come in
+const SCHEDULE_FIELDS = [
+  "date",
+  "time",
+  "startsAt",
+  "endsAt",
+  "durationMinutes",
+  "timezone",
+];
+
+const LOCAL_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::\d{2}(?:\.\d+)?)?$/;
+
+// ISO instants are taken as-is, a bare "2026-12-01T19:00" is local to the event
+const parseInstant = (value, timezone, field) => {
+  if (value instanceof Date) return value;
+  const local = String(value).match(LOCAL_DATE_TIME);
+  const date = local
+    ? zonedTimeToUtc(
+        {
+          year: Number(local[1]),
+          month: Number(local[2]),
+          day: Number(local[3]),
+          hour: Number(local[4]),
+          minute: Number(local[5]),
+        },
+        timezone
+      )
+    : new Date(value);
+  if (isNaN(date)) {
+    throw httpError(400, `Invalid ${field}`);
+  }
+  return date;
+};
+
+// the older form: a calendar day plus "HH:mm" on the event's wall clock
+const fromDateAndTime = (date, time, timezone) => {
+  const day = date instanceof Date ? date : new Date(date);
+  const match = String(time || "").match(/^([0-1]?[0-9]|2[0-3]):([0-5][0-9])$/);
+  if (!date || isNaN(day) || !match) {
+    throw httpError(400, "A start time or a date and time are required");
+  }
+  return zonedTimeToUtc(
+    {
+      year: day.getUTCFullYear(),
+      month: day.getUTCMonth() + 1,
+      day: day.getUTCDate(),
+      hour: Number(match[1]),
+      minute: Number(match[2]),
+    },
+    timezone
+  );
+};
+
+// { startsAt, endsAt, timezone } from either startsAt/endsAt or date + time,
+// with durationMinutes (or the default) when no end is given
+const resolveSchedule = (data) => {
+  const timezone = data.timezone || DEFAULT_TIMEZONE;
+  if (!isValidTimezone(timezone)) {
+    throw httpError(400, `Unknown timezone: ${timezone}`);
+  }
+
+  const startsAt = data.startsAt
+    ? parseInstant(data.startsAt, timezone, "start time")
+    : fromDateAndTime(data.date, data.time, timezone);
+
+  const durationMinutes =
+    data.durationMinutes === undefined
+      ? DEFAULT_DURATION_MINUTES
+      : Number(data.durationMinutes);
+  if (!(durationMinutes > 0)) {
+    throw httpError(400, "Duration must be a positive number of minutes");
+  }
+
+  const endsAt = data.endsAt
+    ? parseInstant(data.endsAt, timezone, "end time")
+    : new Date(startsAt.getTime() + durationMinutes * 60 * 1000);
+  if (endsAt <= startsAt) {
+    throw httpError(400, "Event must end after it starts");
+  }
+
+  return { startsAt, endsAt, timezone };
+};
+
+// the event's start as a local calendar day (UTC midnight) and "HH:mm"
+const toLocalDateAndTime = (startsAt, timezone) => {
+  const { year, month, day, hour, minute } = getZonedParts(startsAt, timezone);
+  return {
+    date: new Date(Date.UTC(year, month - 1, day)),
+    time: `${String(hour).padStart(2, "0")}:${String(minute).padStart(2, "0")}`,
+  };
+};
+
+// re-resolves an existing event's schedule with some fields changed; the
+// wall-clock start and the duration carry over unless they're replaced
+const rescheduleEvent = (event, changes) => {
+  const current = {
+    ...toLocalDateAndTime(event.startsAt, event.timezone),
+    timezone: event.timezone,
+    durationMinutes: (event.endsAt - event.startsAt) / 60000,
+  };
+  return resolveSchedule({ ...current, ...changes });
+};
+
+// query conditions for ?when=upcoming|ongoing|past and a from/to range;
+// a range matches every event that overlaps it
+const scheduleConditions = ({ when, from, to, date }, now = new Date()) => {
+  const conditions = [];
+
+  if (when === "upcoming") {
+    conditions.push({ startsAt: { $gt: now } });
+  } else if (when === "ongoing") {
+    conditions.push({ startsAt: { $lte: now }, endsAt: { $gt: now } });
+  } else if (when === "past") {
+    conditions.push({ endsAt: { $lte: now } });
+  } else if (when) {
+    throw httpError(400, "When must be upcoming, ongoing or past");
+  }
+
+  if (from) {
+    conditions.push({ endsAt: { $gt: parseInstant(from, "UTC", "from date") } });
+  }
+  if (to) {
+    // a bare day includes the whole of that day
+    const end = parseInstant(to, "UTC", "to date");
+    if (/^\d{4}-\d{2}-\d{2}$/.test(to)) {
+      end.setUTCDate(end.getUTCDate() + 1);
+    }
+    conditions.push({ startsAt: { $lt: end } });
+  }
+
+  // kept for older clients: events starting on or after that day
+  if (date) {
+    conditions.push({
+      startsAt: { $gte: parseInstant(date, "UTC", "date") },
+    });
+  }
+
+  return conditions;
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  DEFAULT_DURATION_MINUTES,
+  SCHEDULE_FIELDS,
+  resolveSchedule,
+  toLocalDateAndTime,
+  rescheduleEvent,
+  scheduleConditions,
+};
@@ -0,0 +1,310 @@
+const Event = require("../models/event.model");
+const EventSeries = require("../models/event-series.model");
+const {
+  buildEvent,
+  applyEventUpdate,
+  saveEventUpdate,
+} = require("./event.service");
+const { parseTicketTypes } = require("./ticket-type.service");
+const { resolveSchedule, toLocalDateAndTime } = require("./schedule.service");
+const { attachVenue } = require("./venue.service");
+const { hasPermission } = require("./permission.service");
+const httpError = require("../utils/http-error");
+
+const MAX_OCCURRENCES = parseInt(process.env.SERIES_MAX_OCCURRENCES) || 104;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+// event dates are calendar days stored as UTC midnight
+const toDay = (value) => {
+  const text = String(value);
+  const compact = text.match(/^(\d{4})(\d{2})(\d{2})/);
+  const date = compact
+    ? new Date(Date.UTC(compact[1], compact[2] - 1, compact[3]))
+    : new Date(value);
+  if (isNaN(date)) {
+    throw httpError(400, `Invalid recurrence date: ${text}`);
+  }
+  return new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+  );
+};
+
+const parseWeekday = (value) => {
+  const day =
+    typeof value === "number"
+      ? value
+      : WEEKDAYS.indexOf(String(value).toUpperCase());
+  if (!Number.isInteger(day) || day < 0 || day > 6) {
+    throw httpError(400, `Invalid weekday: ${value}`);
+  }
+  return day;
+};
+
+// "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;UNTIL=20261231" into rule fields
+const parseRrule = (text) => {
+  const parts = Object.fromEntries(
+    text
+      .replace(/^RRULE:/i, "")
+      .split(";")
+      .filter(Boolean)
+      .map((part) => {
+        const [key, value = ""] = part.split("=");
+        return [key.trim().toUpperCase(), value.trim()];
+      })
+  );
+  return {
+    freq: parts.FREQ,
+    interval: parts.INTERVAL,
+    byWeekday: parts.BYDAY ? parts.BYDAY.split(",") : undefined,
+    until: parts.UNTIL,
+    count: parts.COUNT,
+  };
+};
+
+// accepts an RRULE string or { freq, interval, byWeekday, until, count,
+// exceptions }, optionally with the rule itself under "rrule"
+const parseRecurrence = (value) => {
+  let input = value;
+  if (typeof value === "string") {
+    try {
+      input = JSON.parse(value);
+    } catch (error) {
+      input = parseRrule(value);
+    }
+  }
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    throw httpError(400, "Recurrence must be an RRULE or an object");
+  }
+  if (input.rrule) {
+    input = { ...parseRrule(input.rrule), ...input };
+  }
+
+  const freq = String(input.freq || "").toLowerCase();
+  if (!["daily", "weekly", "monthly"].includes(freq)) {
+    throw httpError(400, "Recurrence frequency must be daily, weekly or monthly");
+  }
+
+  const interval = input.interval === undefined ? 1 : Number(input.interval);
+  if (!Number.isInteger(interval) || interval < 1) {
+    throw httpError(400, "Recurrence interval must be at least 1");
+  }
+
+  const count = input.count === undefined ? undefined : Number(input.count);
+  if (count !== undefined && (!Number.isInteger(count) || count < 1)) {
+    throw httpError(400, "Recurrence count must be at least 1");
+  }
+
+  const until = input.until ? toDay(input.until) : undefined;
+  if (!until && !count) {
+    throw httpError(400, "Recurrence needs an end date or a count");
+  }
+
+  if (input.byWeekday && freq !== "weekly") {
+    throw httpError(400, "Weekdays can only be set on weekly recurrences");
+  }
+
+  return {
+    freq,
+    interval,
+    byWeekday: [...new Set((input.byWeekday || []).map(parseWeekday))].sort(),
+    until,
+    count,
+    exceptions: (input.exceptions || []).map(toDay),
+  };
+};
+
+// express-validator custom check
+const validateRecurrence = (value) => {
+  parseRecurrence(value);
+  return true;
+};
+
+// candidate dates in order, before the end conditions are applied
+function* candidates({ freq, interval, byWeekday }, start) {
+  for (let step = 0; ; step++) {
+    if (freq === "daily") {
+      yield new Date(start.getTime() + step * interval * DAY_MS);
+    } else if (freq === "weekly") {
+      const weekStart = start.getTime() - start.getUTCDay() * DAY_MS;
+      const days = byWeekday.length ? byWeekday : [start.getUTCDay()];
+      for (const day of days) {
+        const date = new Date(weekStart + (step * interval * 7 + day) * DAY_MS);
+        if (date >= start) yield date;
+      }
+    } else {
+      const date = new Date(
+        Date.UTC(
+          start.getUTCFullYear(),
+          start.getUTCMonth() + step * interval,
+          start.getUTCDate()
+        )
+      );
+      // like RRULE, months without that day (e.g. the 31st) are skipped
+      if (date.getUTCDate() === start.getUTCDate()) yield date;
+      else yield null;
+    }
+  }
+}
+
+// occurrence dates for a parsed rule; as in RFC 5545, COUNT includes
+// dates that are later removed as exceptions
+const expandRecurrence = (rule, startDate) => {
+  const start = toDay(startDate);
+  const skipped = new Set(rule.exceptions.map((date) => date.getTime()));
+  const dates = [];
+  let generated = 0;
+
+  for (const date of candidates(rule, start)) {
+    if (!date) continue;
+    if (rule.until && date > rule.until) break;
+    if (rule.count && generated >= rule.count) break;
+    generated += 1;
+    if (generated > MAX_OCCURRENCES) {
+      throw httpError(
+        400,
+        `A series can have at most ${MAX_OCCURRENCES} occurrences`
+      );
+    }
+    if (!skipped.has(date.getTime())) dates.push(date);
+  }
+  return dates;
+};
+
+// one bookable Event per occurrence, all sharing the create-route fields;
+// every occurrence starts at the same local time, across DST changes
+const createSeries = async (data, { image, createdBy, venue }) => {
+  const recurrence = parseRecurrence(data.recurrence);
+  const { startsAt, endsAt, timezone } = resolveSchedule(data);
+  const { date: firstDate, time } = toLocalDateAndTime(startsAt, timezone);
+  const durationMinutes = (endsAt - startsAt) / 60000;
+  const dates = expandRecurrence(recurrence, firstDate);
+  if (!dates.length) {
+    throw httpError(400, "Recurrence rule doesn't produce any occurrences");
+  }
+
+  const series = new EventSeries({
+    name: data.name,
+    startDate: firstDate,
+    recurrence,
+    createdBy,
+  });
+  await series.save();
+
+  const events = [];
+  try {
+    for (const date of dates) {
+      const event = buildEvent(
+        {
+          ...data,
+          startsAt: undefined,
+          endsAt: undefined,
+          date,
+          time,
+          durationMinutes,
+          timezone,
+        },
+        { image, createdBy }
+      );
+      if (venue) {
+        attachVenue(event, venue, { seating: data.seating });
+      }
+      event.series = series.id;
+      await event.save();
+      events.push(event);
+    }
+  } catch (error) {
+    await Event.deleteMany({ series: series.id });
+    await EventSeries.deleteOne({ _id: series._id });
+    throw error;
+  }
+
+  return { series, events };
+};
+
+// tier ids are per occurrence, so edited tiers are matched up by name
+const retargetTicketTypes = (value, source, target) =>
+  parseTicketTypes(value).map((tier) => {
+    if (!tier._id) return tier;
+    const sourceTier = source.ticketTypes.find(
+      (t) => t._id.toString() === String(tier._id)
+    );
+    const targetTier =
+      sourceTier && target.ticketTypes.find((t) => t.name === sourceTier.name);
+    return { ...tier, _id: targetTier?._id };
+  });
+
+// applies an edit to this occurrence and every later one in its series,
+// returns the saved events, the ids of those that gained tickets and the
+// occurrences that couldn't be saved
+const updateFutureOccurrences = async (event, data, { image, user }) => {
+  // times, durations and zones apply to each occurrence's own date
+  if (["date", "startsAt", "endsAt"].some((f) => data[f] !== undefined)) {
+    throw httpError(400, "Dates can only be changed for a single occurrence");
+  }
+
+  // cancelled, completed and deleted occurrences are left as they were
+  const occurrences = await Event.find({
+    series: event.series,
+    startsAt: { $gte: event.startsAt },
+    status: { $nin: ["cancelled", "completed"] },
+    deletedAt: null,
+  }).sort({ startsAt: 1 });
+
+  for (const occurrence of occurrences) {
+    if (!(await hasPermission(user, "event:update", occurrence))) {
+      throw httpError(403, "Access denied.");
+    }
+  }
+
+  const updates = occurrences.map((occurrence) => ({
+    occurrence,
+    data: {
+      ...data,
+      ...(data.ticketTypes !== undefined && {
+        ticketTypes: retargetTicketTypes(data.ticketTypes, event, occurrence),
+      }),
+    },
+    previousAvailable: occurrence.availableTickets,
+  }));
+
+  // the edit is validated against every occurrence before any is saved, but
+  // a save can still conflict with tickets sold in the meantime; those are
+  // reported per occurrence and the others keep the edit
+  updates.forEach(({ occurrence, data }) =>
+    applyEventUpdate(occurrence, data, { image })
+  );
+  const saved = [];
+  const grown = [];
+  const failed = [];
+  for (const { occurrence, previousAvailable } of updates) {
+    try {
+      const result = await saveEventUpdate(occurrence);
+      saved.push(result);
+      if (result.availableTickets > previousAvailable) grown.push(result.id);
+    } catch (error) {
+      if (!error.status) {
+        console.error(`Updating occurrence ${occurrence.id} failed:`, error);
+      }
+      failed.push({
+        id: occurrence.id,
+        status: error.status || 500,
+        message: error.message,
+      });
+    }
+  }
+
+  if (data.name && saved.length) {
+    await EventSeries.updateOne({ id: event.series }, { name: data.name });
+  }
+
+  return { events: saved, grown, failed };
+};
+
+module.exports = {
+  parseRecurrence,
+  validateRecurrence,
+  expandRecurrence,
+  createSeries,
+  updateFutureOccurrences,
+};
@@ -0,0 +1,106 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const Session = require("../models/session.model");
+const httpError = require("../utils/http-error");
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+const signAccessToken = (userId, family) =>
+  jwt.sign({ userId, sid: family }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+
+// stores a new refresh token for the family and returns the token and its expiry
+const issueRefreshToken = async (userId, family, meta = {}) => {
+  const refreshToken = crypto.randomBytes(40).toString("hex");
+  const expiresAt = new Date(
+    Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000
+  );
+
+  await Session.create({
+    user: userId,
+    family,
+    tokenHash: hashToken(refreshToken),
+    expiresAt,
+    userAgent: meta.userAgent,
+    ip: meta.ip,
+  });
+  return { refreshToken, refreshTokenExpiresAt: expiresAt };
+};
+
+const tokenPair = async (userId, family, meta) => ({
+  token: signAccessToken(userId, family),
+  ...(await issueRefreshToken(userId, family, meta)),
+  expiresIn: ACCESS_TOKEN_TTL,
+});
+
+const startSession = (user, meta) =>
+  tokenPair(user._id, crypto.randomUUID(), meta);
+
+const revokeFamily = (family, reason) =>
+  Session.updateMany(
+    { family, status: { $ne: "revoked" } },
+    { status: "revoked", revokedAt: new Date(), revokedReason: reason }
+  );
+
+const revokeAllSessions = (userId, reason) =>
+  Session.updateMany(
+    { user: userId, status: { $ne: "revoked" } },
+    { status: "revoked", revokedAt: new Date(), revokedReason: reason }
+  );
+
+// swap a refresh token for a new pair, replaying an old token kills the family
+const rotateSession = async (refreshToken, meta) => {
+  const session = await Session.findOne({ tokenHash: hashToken(refreshToken) });
+  if (!session) {
+    throw httpError(401, "Invalid refresh token");
+  }
+
+  if (session.status === "revoked") {
+    throw httpError(401, "Session has been revoked");
+  }
+
+  if (session.expiresAt <= new Date()) {
+    throw httpError(401, "Session has expired");
+  }
+
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, status: "active" },
+    { status: "rotated" }
+  );
+  if (!rotated) {
+    await revokeFamily(session.family, "reuse_detected");
+    throw httpError(401, "Refresh token reuse detected, please log in again");
+  }
+
+  return tokenPair(session.user, session.family, meta);
+};
+
+const isSessionActive = (family) =>
+  Session.exists({
+    family,
+    status: "active",
+    expiresAt: { $gt: new Date() },
+  });
+
+const listSessions = (userId) =>
+  Session.find({
+    user: userId,
+    status: "active",
+    expiresAt: { $gt: new Date() },
+  })
+    .select("family userAgent ip createdAt expiresAt")
+    .sort({ createdAt: -1 });
+
+module.exports = {
+  startSession,
+  rotateSession,
+  revokeFamily,
+  revokeAllSessions,
+  isSessionActive,
+  listSessions,
+};
@@ -0,0 +1,142 @@
+const httpError = require("../utils/http-error");
+
+const TIER_FIELDS = ["name", "price", "salesStart", "salesEnd", "maxPerOrder"];
+
+// ticketTypes arrive as a JSON string in multipart forms
+const parseTicketTypes = (value) => {
+  let tiers = value;
+  if (typeof value === "string") {
+    try {
+      tiers = JSON.parse(value);
+    } catch (error) {
+      throw httpError(400, "Ticket types must be valid JSON");
+    }
+  }
+  if (!Array.isArray(tiers)) {
+    throw httpError(400, "Ticket types must be a list");
+  }
+  return tiers;
+};
+
+const isPositiveInt = (value) =>
+  Number.isInteger(Number(value)) && Number(value) >= 1;
+
+// express-validator custom check, throws on the first invalid tier
+const validateTicketTypes = (value) => {
+  const tiers = parseTicketTypes(value);
+  if (!tiers.length) {
+    throw httpError(400, "At least one ticket type is required");
+  }
+
+  tiers.forEach((tier) => {
+    if (!tier.name) {
+      throw httpError(400, "Each ticket type needs a name");
+    }
+    if (tier.price === undefined || !(Number(tier.price) >= 0)) {
+      throw httpError(400, `${tier.name} needs a valid price`);
+    }
+    if (!isPositiveInt(tier.capacity)) {
+      throw httpError(400, `${tier.name} capacity must be at least 1`);
+    }
+    if (tier.maxPerOrder !== undefined && !isPositiveInt(tier.maxPerOrder)) {
+      throw httpError(400, `${tier.name} per-order limit must be at least 1`);
+    }
+    if (
+      tier.salesStart &&
+      tier.salesEnd &&
+      new Date(tier.salesStart) > new Date(tier.salesEnd)
+    ) {
+      throw httpError(400, `${tier.name} sales must start before they end`);
+    }
+  });
+  return true;
+};
+
+const pickTierFields = (tier) =>
+  Object.fromEntries(
+    TIER_FIELDS.filter((field) => tier[field] !== undefined).map((field) => [
+      field,
+      tier[field],
+    ])
+  );
+
+// apply an edited tier list, keeping already-booked tickets booked
+const mergeTicketTypes = (event, incoming) => {
+  const tiers = parseTicketTypes(incoming);
+
+  if (!event.ticketTypes.length && event.availableTickets < event.totalTickets) {
+    throw httpError(
+      400,
+      "Cannot add ticket types to an event that already has bookings"
+    );
+  }
+
+  const next = tiers.map((tier) => {
+    const capacity = parseInt(tier.capacity);
+    const existing =
+      tier._id &&
+      event.ticketTypes.find((t) => t._id.toString() === String(tier._id));
+
+    if (!existing) {
+      return { ...pickTierFields(tier), capacity, available: capacity };
+    }
+
+    const booked = existing.capacity - existing.available;
+    if (capacity < booked) {
+      throw httpError(
+        400,
+        `Cannot reduce ${existing.name} below the ${booked} tickets already booked`
+      );
+    }
+    return {
+      _id: existing._id,
+      ...pickTierFields(tier),
+      capacity,
+      available: capacity - booked,
+    };
+  });
+
+  event.ticketTypes.forEach((tier) => {
+    const kept = next.some((t) => t._id && t._id.equals(tier._id));
+    if (!kept && tier.available < tier.capacity) {
+      throw httpError(
+        400,
+        `Cannot remove ${tier.name}, tickets have already been booked`
+      );
+    }
+  });
+
+  event.ticketTypes = next;
+};
+
+// new tiers start fully available
+const buildTicketTypes = (value) =>
+  parseTicketTypes(value).map((tier) => ({
+    ...pickTierFields(tier),
+    capacity: parseInt(tier.capacity),
+    available: parseInt(tier.capacity),
+  }));
+
+// keep the event-level price and ticket totals in line with its tiers
+const summarizeTicketTypes = (event) => {
+  if (!event.ticketTypes.length) return;
+
+  event.price = Math.min(...event.ticketTypes.map((tier) => tier.price));
+  event.totalTickets = event.ticketTypes.reduce(
+    (sum, tier) => sum + tier.capacity,
+    0
+  );
+  event.availableTickets = event.ticketTypes.reduce(
+    (sum, tier) => sum + tier.available,
+    0
+  );
+};
+
+module.exports = {
+  TIER_FIELDS,
+  parseTicketTypes,
+  validateTicketTypes,
+  buildTicketTypes,
+  mergeTicketTypes,
+  summarizeTicketTypes,
+};
@@ -0,0 +1,173 @@
+const crypto = require("crypto");
+const QRCode = require("qrcode");
+const Ticket = require("../models/ticket.model");
+const Booking = require("../models/booking.model");
+const CheckIn = require("../models/check-in.model");
+const httpError = require("../utils/http-error");
+
+const ticketSecret = () => process.env.TICKET_SECRET || process.env.JWT_SECRET;
+
+const signCode = (code) =>
+  crypto.createHmac("sha256", ticketSecret()).update(code).digest("base64url");
+
+// what the QR code encodes: "<code>.<signature>"
+const toToken = (ticket) => `${ticket.code}.${signCode(ticket.code)}`;
+
+// returns the ticket code when the signature matches, null otherwise
+const verifyToken = (token) => {
+  const [code, signature] = String(token || "").split(".");
+  if (!code || !signature) return null;
+
+  const expected = Buffer.from(signCode(code));
+  const received = Buffer.from(signature);
+  if (
+    expected.length !== received.length ||
+    !crypto.timingSafeEqual(expected, received)
+  ) {
+    return null;
+  }
+  return code;
+};
+
+const isDuplicateKey = (error) =>
+  error.code === 11000 ||
+  (error.writeErrors?.length &&
+    error.writeErrors.every((writeError) => writeError.code === 11000));
+
+// tickets are created the first time they're asked for, one per seat, and
+// only for bookings that are paid for or free
+const issueTickets = async (booking) => {
+  if (!["not_required", "paid"].includes(booking.payment?.status)) {
+    throw httpError(402, "Tickets are issued once the booking is paid");
+  }
+
+  const labels = booking.items.length
+    ? booking.items.flatMap((item) => Array(item.quantity).fill(item.name))
+    : Array(booking.quantity).fill(undefined);
+
+  try {
+    await Ticket.bulkWrite(
+      labels.map((ticketType, i) => ({
+        updateOne: {
+          filter: { booking: booking.id, number: i + 1 },
+          update: {
+            $setOnInsert: {
+              code: crypto.randomBytes(16).toString("hex"),
+              event: booking.event,
+              user: booking.user,
+              ticketType,
+              seat: booking.seats?.[i],
+            },
+          },
+          upsert: true,
+        },
+      })),
+      { ordered: false }
+    );
+  } catch (error) {
+    // a parallel request issued the same tickets first
+    if (!isDuplicateKey(error)) throw error;
+  }
+
+  return Ticket.find({ booking: booking.id }).sort({ number: 1 });
+};
+
+const renderQrCode = (ticket, format = "svg") =>
+  format === "png"
+    ? QRCode.toBuffer(toToken(ticket), { type: "png" })
+    : QRCode.toString(toToken(ticket), { type: "svg" });
+
+// marks one ticket as used, every attempt is written to the check-in log
+const checkInTicket = async (token, scannedBy, eventId) => {
+  const reject = async (status, reason, ticket) => {
+    await CheckIn.create({
+      ticket: ticket?.code,
+      event: ticket ? ticket.event : eventId,
+      scannedBy,
+      result: "rejected",
+      reason,
+    });
+    throw httpError(status, reason);
+  };
+
+  const code = verifyToken(token);
+  if (!code) {
+    return reject(400, "Invalid ticket signature");
+  }
+
+  const ticket = await Ticket.findOne({ code });
+  if (!ticket) {
+    return reject(404, "Ticket not found");
+  }
+
+  if (eventId && ticket.event !== eventId) {
+    return reject(400, "Ticket is for a different event", ticket);
+  }
+
+  const booking = await Booking.findOne({ id: ticket.booking });
+  if (!booking || booking.status !== "active") {
+    return reject(409, "Booking is not active", ticket);
+  }
+
+  const checkedIn = await Ticket.findOneAndUpdate(
+    { _id: ticket._id, status: "valid" },
+    { status: "used", checkedInAt: new Date(), checkedInBy: scannedBy },
+    { new: true }
+  );
+  if (!checkedIn) {
+    return reject(409, "Ticket has already been used", ticket);
+  }
+
+  await CheckIn.create({
+    ticket: checkedIn.code,
+    event: checkedIn.event,
+    scannedBy,
+    result: "accepted",
+  });
+  return checkedIn;
+};
+
+const getAttendanceSummary = async (eventId) => {
+  const [sold] = await Booking.aggregate([
+    { $match: { event: eventId, status: "active" } },
+    { $group: { _id: null, tickets: { $sum: "$quantity" } } },
+  ]);
+  const ticketCounts = await Ticket.aggregate([
+    { $match: { event: eventId } },
+    {
+      $group: {
+        _id: "$status",
+        count: { $sum: 1 },
+        lastCheckInAt: { $max: "$checkedInAt" },
+      },
+    },
+  ]);
+  const rejectedScans = await CheckIn.countDocuments({
+    event: eventId,
+    result: "rejected",
+  });
+
+  const used = ticketCounts.find((c) => c._id === "used");
+  const ticketsSold = sold ? sold.tickets : 0;
+  const checkedIn = used ? used.count : 0;
+
+  return {
+    eventId,
+    ticketsSold,
+    ticketsIssued: ticketCounts.reduce((sum, c) => sum + c.count, 0),
+    checkedIn,
+    notCheckedIn: Math.max(ticketsSold - checkedIn, 0),
+    attendanceRate: ticketsSold ? checkedIn / ticketsSold : 0,
+    rejectedScans,
+    lastCheckInAt: used ? used.lastCheckInAt : null,
+  };
+};
+
+module.exports = {
+  toToken,
+  verifyToken,
+  issueTickets,
+  renderQrCode,
+  checkInTicket,
+  getAttendanceSummary,
+};
@@ -0,0 +1,195 @@
+const Venue = require("../models/venue.model");
+const { summarizeTicketTypes } = require("./ticket-type.service");
+const httpError = require("../utils/http-error");
+
+const MAX_SEATS = parseInt(process.env.VENUE_MAX_SEATS) || 20000;
+
+// the ID clients book a seat by, e.g. "Stalls-A-12"
+const seatCode = (section, row, seat) => `${section}-${row}-${seat}`;
+
+// seat maps arrive as JSON in multipart forms; a row's seats may be a list
+// of labels or a count, which is numbered from 1
+const normalizeSeatMap = (value) => {
+  let seatMap = value;
+  if (typeof value === "string") {
+    try {
+      seatMap = JSON.parse(value);
+    } catch (error) {
+      throw httpError(400, "Seat map must be valid JSON");
+    }
+  }
+  if (!Array.isArray(seatMap?.sections) || !seatMap.sections.length) {
+    throw httpError(400, "Seat map needs at least one section");
+  }
+
+  const codes = new Set();
+  const sections = seatMap.sections.map((section) => {
+    if (!section?.name || !Array.isArray(section.rows) || !section.rows.length) {
+      throw httpError(400, "Each section needs a name and at least one row");
+    }
+    return {
+      name: String(section.name).trim(),
+      rows: section.rows.map((row) => {
+        if (!row?.name) {
+          throw httpError(400, `Each row in ${section.name} needs a name`);
+        }
+        const count = Array.isArray(row.seats)
+          ? row.seats.length
+          : Number(row.seats);
+        if (!Number.isInteger(count)) {
+          throw httpError(
+            400,
+            `Row ${row.name} in ${section.name} needs a whole number of seats`
+          );
+        }
+        if (count < 1) {
+          throw httpError(400, `Row ${row.name} in ${section.name} has no seats`);
+        }
+        // checked before the row is built, a count can be any size
+        if (codes.size + count > MAX_SEATS) {
+          throw httpError(400, `A seat map can have at most ${MAX_SEATS} seats`);
+        }
+        const seats = Array.isArray(row.seats)
+          ? row.seats.map((seat) => String(seat).trim())
+          : Array.from({ length: count }, (_, i) => String(i + 1));
+
+        seats.forEach((seat) => {
+          const code = seatCode(section.name, row.name, seat);
+          if (codes.has(code)) {
+            throw httpError(400, `Seat ${code} appears more than once`);
+          }
+          codes.add(code);
+        });
+        return { name: String(row.name).trim(), seats };
+      }),
+    };
+  });
+
+  return { sections };
+};
+
+// express-validator custom check
+const validateSeatMap = (value) => {
+  normalizeSeatMap(value);
+  return true;
+};
+
+const countSeats = (seatMap) =>
+  (seatMap?.sections || []).reduce(
+    (sum, section) =>
+      sum + section.rows.reduce((rowSum, row) => rowSum + row.seats.length, 0),
+    0
+  );
+
+// GeoJSON point from latitude/longitude fields, undefined when neither is set
+const toLocation = ({ latitude, longitude }) => {
+  if (latitude === undefined && longitude === undefined) return undefined;
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+  if (!(lat >= -90 && lat <= 90) || !(lng >= -180 && lng <= 180)) {
+    throw httpError(400, "A valid latitude and longitude are both required");
+  }
+  return { type: "Point", coordinates: [lng, lat] };
+};
+
+const findVenue = async (venueId) => {
+  const venue = await Venue.findOne({ id: parseInt(venueId) });
+  if (!venue) {
+    throw httpError(400, "Venue not found");
+  }
+  return venue;
+};
+
+// links a new event to its venue; reserved seating copies the venue's seat
+// map onto the event, so later seat map edits only affect new events.
+// With ticket types, each section is sold as the ticket type of the same name
+const attachVenue = (event, venue, { seating } = {}) => {
+  event.venueId = venue.id;
+  if (!event.venue) {
+    event.venue = venue.name;
+  }
+  if (venue.location?.coordinates) {
+    event.location = venue.location;
+  }
+  if (seating !== "reserved") return event;
+
+  if (!countSeats(venue.seatMap)) {
+    throw httpError(400, "Reserved seating needs a venue with a seat map");
+  }
+
+  const tiersByName = new Map(event.ticketTypes.map((tier) => [tier.name, tier]));
+  event.seating = "reserved";
+  event.seats = venue.seatMap.sections.flatMap((section) => {
+    const tier = tiersByName.get(section.name);
+    if (event.ticketTypes.length && !tier) {
+      throw httpError(400, `No ticket type named after section ${section.name}`);
+    }
+    return section.rows.flatMap((row) =>
+      row.seats.map((seat) => ({
+        code: seatCode(section.name, row.name, seat),
+        section: section.name,
+        row: row.name,
+        number: seat,
+        ticketType: tier?._id,
+      }))
+    );
+  });
+
+  if (event.ticketTypes.length) {
+    event.ticketTypes.forEach((tier) => {
+      const seats = event.seats.filter((seat) =>
+        seat.ticketType?.equals(tier._id)
+      );
+      if (!seats.length) {
+        throw httpError(400, `No section named after ticket type ${tier.name}`);
+      }
+      tier.capacity = seats.length;
+      tier.available = seats.length;
+    });
+    summarizeTicketTypes(event);
+  } else {
+    event.totalTickets = event.seats.length;
+    event.availableTickets = event.seats.length;
+  }
+  return event;
+};
+
+// sections > rows > seats, in seat map order, with what can still be booked
+const seatAvailability = (event) => {
+  const sections = [];
+  event.seats.forEach((seat) => {
+    let section = sections[sections.length - 1];
+    if (section?.name !== seat.section) {
+      section = { name: seat.section, rows: [] };
+      sections.push(section);
+    }
+    let row = section.rows[section.rows.length - 1];
+    if (row?.name !== seat.row) {
+      row = { name: seat.row, seats: [] };
+      section.rows.push(row);
+    }
+    row.seats.push({
+      id: seat.code,
+      number: seat.number,
+      ticketType: seat.ticketType,
+      available: !seat.taken,
+    });
+  });
+
+  return {
+    eventId: event.id,
+    total: event.seats.length,
+    available: event.seats.filter((seat) => !seat.taken).length,
+    sections,
+  };
+};
+
+module.exports = {
+  normalizeSeatMap,
+  validateSeatMap,
+  countSeats,
+  toLocation,
+  findVenue,
+  attachVenue,
+  seatAvailability,
+};
@@ -0,0 +1,142 @@
+const WaitlistEntry = require("../models/waitlist-entry.model");
+const Booking = require("../models/booking.model");
+const Event = require("../models/event.model");
+const User = require("../models/user.model");
+const {
+  inventoryEvents,
+  reserveTickets,
+  releaseTickets,
+} = require("./inventory.service");
+const { buildLineItems } = require("./pricing.service");
+const { sendMail } = require("./mailer.service");
+const { formatInTimezone } = require("../utils/timezone");
+
+const CLAIM_MINUTES = parseInt(process.env.WAITLIST_CLAIM_MINUTES) || 30;
+
+// offers whose hold got confirmed are claimed, the rest have lapsed
+const settleOffers = async (eventId) => {
+  const offered = await WaitlistEntry.find({ event: eventId, status: "offered" });
+
+  for (const entry of offered) {
+    const booking = await Booking.findOne({ id: entry.booking }).select("status");
+    if (booking?.status === "pending") continue;
+
+    entry.status = booking?.status === "active" ? "claimed" : "expired";
+    await entry.save();
+  }
+};
+
+// the offer stands even if the mail fails, the user can still see it
+const notifyOffer = async (event, entry) => {
+  const user = await User.findById(entry.user).select("name email");
+  if (!user) return;
+  try {
+    await sendMail({
+      to: user.email,
+      subject: `Tickets for ${event.name} are waiting for you`,
+      text: `Hi ${user.name},\n\nTickets for ${event.name} have opened up and ${entry.quantity} ${entry.quantity === 1 ? "is" : "are"} held for you until ${formatInTimezone(entry.offerExpiresAt, event.timezone)} (${event.timezone}).\n\nClaim them from your waitlist entries before then, after that they go to the next person in line.\n`,
+    });
+  } catch (error) {
+    console.error(`Waitlist offer mail to ${user.email} failed:`, error);
+  }
+};
+
+// hold tickets for one entry and turn it into an offer, false if it doesn't fit
+const offerTickets = async (event, entry) => {
+  let priced;
+  try {
+    priced = buildLineItems(event, {
+      quantity: entry.quantity,
+      items: entry.ticketType
+        ? [{ ticketType: entry.ticketType, quantity: entry.quantity }]
+        : [],
+    });
+  } catch (error) {
+    // e.g. the tier is no longer on sale
+    return false;
+  }
+
+  // flip the entry first so two concurrent promotions can't both offer it
+  const offered = await WaitlistEntry.findOneAndUpdate(
+    { _id: entry._id, status: "waiting" },
+    { status: "offered" },
+    { new: true }
+  );
+  if (!offered) return false;
+
+  const reserved = await reserveTickets(event.id, priced.quantity, priced.items);
+  if (!reserved) {
+    await WaitlistEntry.updateOne({ _id: entry._id }, { status: "waiting" });
+    return false;
+  }
+
+  const expiresAt = new Date(Date.now() + CLAIM_MINUTES * 60 * 1000);
+  const booking = new Booking({
+    user: entry.user,
+    event: event.id,
+    items: priced.items,
+    quantity: priced.quantity,
+    originalPrice: priced.totalPrice,
+    totalPrice: priced.totalPrice,
+    status: "pending",
+    expiresAt,
+  });
+
+  try {
+    await booking.save();
+  } catch (error) {
+    await WaitlistEntry.updateOne({ _id: entry._id }, { status: "waiting" });
+    await releaseTickets(event.id, priced.quantity, priced.items);
+    throw error;
+  }
+
+  offered.booking = booking.id;
+  offered.offerExpiresAt = expiresAt;
+  await offered.save();
+  await notifyOffer(event, offered);
+  return true;
+};
+
+// offer freed tickets to waiting entries in the order they joined
+const promoteWaitlist = async (eventId) => {
+  await settleOffers(eventId);
+
+  const waiting = await WaitlistEntry.find({ event: eventId, status: "waiting" })
+    .sort({ createdAt: 1 });
+
+  const offered = [];
+  for (const entry of waiting) {
+    const event = await Event.findOne({ id: eventId });
+    if (!event || event.availableTickets === 0) break;
+
+    if (await offerTickets(event, entry)) {
+      offered.push(entry.id);
+    }
+  }
+  return offered;
+};
+
+// 1-based place in line, null once the entry has left the queue
+const getPosition = async (entry) => {
+  if (entry.status !== "waiting") return null;
+
+  const ahead = await WaitlistEntry.countDocuments({
+    event: entry.event,
+    status: "waiting",
+    createdAt: { $lt: entry.createdAt },
+  });
+  return ahead + 1;
+};
+
+inventoryEvents.on("released", (eventId) => {
+  promoteWaitlist(eventId).catch((err) =>
+    console.error("Waitlist promotion error:", err)
+  );
+});
+
+module.exports = {
+  CLAIM_MINUTES,
+  promoteWaitlist,
+  settleOffers,
+  getPosition,
+};
@@ -0,0 +1,62 @@
+// quotes a value for CSV and defuses spreadsheet formulas (=, +, -, @)
+const escapeCsv = (value) => {
+  if (value === undefined || value === null) return "";
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvRow = (values) => `${values.map(escapeCsv).join(",")}\r\n`;
+
+// RFC 4180 parser, returns one object per data row keyed by the header row
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...data] = rows.filter((values) =>
+    values.some((value) => value.trim() !== "")
+  );
+  const keys = header.map((key) => key.trim());
+  return data.map((values) =>
+    Object.fromEntries(keys.map((key, i) => [key, (values[i] || "").trim()]))
+  );
+};
+
+module.exports = { escapeCsv, toCsvRow, parseCsv };
@@ -0,0 +1,5 @@
+// so user input can be matched literally inside a RegExp or $regex
+const escapeRegex = (value) =>
+  String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+module.exports = escapeRegex;
@@ -0,0 +1,8 @@
+// error carrying the HTTP status a route should answer with
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+module.exports = httpError;
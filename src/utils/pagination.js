@@ -0,0 +1,185 @@
+const { Types } = require("mongoose");
+const httpError = require("./http-error");
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = parseInt(process.env.MAX_PAGE_SIZE) || 100;
+
+// cursors are opaque to clients: the last row's sort value and _id
+const encodeCursor = (row, { sortKey, field }) => {
+  const value = row[field] ?? row.get?.(field);
+  return Buffer.from(
+    JSON.stringify({
+      s: sortKey,
+      v: value instanceof Date ? value.toISOString() : value,
+      d: value instanceof Date,
+      id: String(row._id),
+    })
+  ).toString("base64url");
+};
+
+const decodeCursor = (token, sortKey) => {
+  let cursor;
+  try {
+    cursor = JSON.parse(Buffer.from(String(token), "base64url").toString());
+  } catch (error) {
+    throw httpError(400, "Invalid cursor");
+  }
+  if (!cursor || !Types.ObjectId.isValid(cursor.id)) {
+    throw httpError(400, "Invalid cursor");
+  }
+  if (cursor.s !== sortKey) {
+    throw httpError(400, "Cursor doesn't match this sort order");
+  }
+  // the value ends up in a query, so anything but a plain sort value (an
+  // object could be an operator) is refused; null is a row without one
+  const value = cursor.d ? new Date(cursor.v) : cursor.v;
+  const plain =
+    value === null ||
+    value === undefined ||
+    typeof value === "string" ||
+    (typeof value === "number" && Number.isFinite(value)) ||
+    (cursor.d && typeof cursor.v === "string" && !isNaN(value));
+  if (!plain) {
+    throw httpError(400, "Invalid cursor");
+  }
+  // cast here since aggregation pipelines don't cast like find() does
+  return { value, id: new Types.ObjectId(cursor.id) };
+};
+
+// reads ?limit, ?sort, ?order and either ?page (offset mode, the default)
+// or ?cursor / ?before (cursor mode); sorts maps each allowed ?sort value
+// to { field, direction }, with cursor: false for computed rankings that
+// can only be paged by offset
+const parsePagination = (query, { sorts, defaultSort, defaultOrder }) => {
+  const limit = Math.min(
+    Math.max(parseInt(query.limit) || DEFAULT_LIMIT, 1),
+    MAX_LIMIT
+  );
+
+  const sortKey = query.sort || defaultSort;
+  const spec = sorts[sortKey];
+  if (!spec) {
+    throw httpError(
+      400,
+      `Sort must be one of: ${Object.keys(sorts).join(", ")}`
+    );
+  }
+
+  const order = query.order || defaultOrder;
+  if (order && !["asc", "desc"].includes(order)) {
+    throw httpError(400, "Order must be asc or desc");
+  }
+  const direction = order ? (order === "desc" ? -1 : 1) : spec.direction;
+
+  if (query.cursor && query.before) {
+    throw httpError(400, "Use either cursor or before, not both");
+  }
+  if ((query.cursor || query.before) && spec.cursor === false) {
+    throw httpError(400, `Sorting by ${sortKey} only supports page numbers`);
+  }
+  const after = query.cursor ? decodeCursor(query.cursor, sortKey) : null;
+  const before = query.before ? decodeCursor(query.before, sortKey) : null;
+  const cursorMode = !!(after || before);
+  const page = cursorMode ? 1 : Math.max(parseInt(query.page) || 1, 1);
+
+  return {
+    limit,
+    sortKey,
+    cursors: spec.cursor !== false,
+    field: spec.field,
+    direction,
+    after,
+    before,
+    cursorMode,
+    page,
+    skip: (page - 1) * limit,
+  };
+};
+
+// _id breaks ties so rows with equal sort values keep a stable order;
+// paging backwards reads in reverse and flips the rows afterwards
+const sortFor = ({ field, direction, before }) => {
+  const dir = before ? -direction : direction;
+  return { [field]: dir, _id: dir };
+};
+
+// condition for the rows after (or before) the cursor, null without one
+const cursorFilter = ({ field, direction, after, before }) => {
+  const cursor = after || before;
+  if (!cursor) return null;
+
+  const op = (after ? direction : -direction) === 1 ? "$gt" : "$lt";
+  return {
+    $or: [
+      { [field]: { [op]: cursor.value } },
+      { [field]: cursor.value, _id: { [op]: cursor.id } },
+    ],
+  };
+};
+
+// cursor mode reads one row more than it returns to know if there's more
+const fetchLimit = ({ limit, cursorMode }) => (cursorMode ? limit + 1 : limit);
+
+const linkTo = (req, params) => {
+  const search = new URLSearchParams();
+  Object.entries({ ...req.query, ...params }).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) search.set(key, value);
+  });
+  return `${req.baseUrl}${req.path === "/" ? "" : req.path}?${search}`;
+};
+
+// trims the page, puts it in display order and builds the envelope;
+// offset mode also reports page numbers and totals
+const paginate = (rows, pagination, { req, total }) => {
+  const { limit, cursorMode, before, after, page } = pagination;
+  let items = rows;
+  const hasMore = items.length > limit;
+  if (hasMore) items = items.slice(0, limit);
+  if (before) items = [...items].reverse();
+
+  const first = items[0];
+  const last = items[items.length - 1];
+  const totalPages = cursorMode ? undefined : Math.ceil(total / limit);
+
+  const hasNext = before ? true : cursorMode ? hasMore : page < totalPages;
+  const hasPrev = before ? hasMore : cursorMode ? !!after : page > 1;
+  const { cursors } = pagination;
+  const nextCursor =
+    cursors && hasNext && last ? encodeCursor(last, pagination) : null;
+  const prevCursor =
+    cursors && hasPrev && first ? encodeCursor(first, pagination) : null;
+
+  const reset = { cursor: undefined, before: undefined, page: undefined };
+  const links = cursorMode
+    ? {
+        next: nextCursor && linkTo(req, { ...reset, cursor: nextCursor }),
+        prev: prevCursor && linkTo(req, { ...reset, before: prevCursor }),
+      }
+    : {
+        next: hasNext ? linkTo(req, { ...reset, page: page + 1 }) : null,
+        prev: hasPrev ? linkTo(req, { ...reset, page: page - 1 }) : null,
+      };
+
+  return {
+    items,
+    pagination: {
+      mode: cursorMode ? "cursor" : "offset",
+      limit,
+      sort: pagination.sortKey,
+      order: pagination.direction === 1 ? "asc" : "desc",
+      nextCursor,
+      prevCursor,
+      ...links,
+      ...(!cursorMode && { page, totalPages, total }),
+    },
+  };
+};
+
+module.exports = {
+  MAX_LIMIT,
+  parsePagination,
+  sortFor,
+  cursorFilter,
+  fetchLimit,
+  paginate,
+};
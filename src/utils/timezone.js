@@ -0,0 +1,81 @@
+// wall-clock fields of an instant in the given IANA zone
+const getZonedParts = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    })
+      .formatToParts(date)
+      .filter((part) => part.type !== "literal")
+      .map((part) => [part.type, Number(part.value)])
+  );
+  return parts;
+};
+
+// offset of the given IANA zone from UTC at that instant, in milliseconds
+const getTimezoneOffset = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// the instant a wall-clock time in the given zone refers to
+const zonedTimeToUtc = ({ year, month, day, hour = 0, minute = 0 }, timeZone) => {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  const offset = getTimezoneOffset(new Date(wallClock), timeZone);
+  let instant = wallClock - offset;
+
+  // the first guess can land on the other side of a DST change
+  const corrected = getTimezoneOffset(new Date(instant), timeZone);
+  if (corrected !== offset) {
+    instant = wallClock - corrected;
+  }
+  return new Date(instant);
+};
+
+const isValidTimezone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const pad = (value) => String(value).padStart(2, "0");
+
+// ISO 8601 with the zone's offset, e.g. "2026-12-01T19:00:00+01:00"
+const formatInTimezone = (date, timeZone) => {
+  const { year, month, day, hour, minute, second } = getZonedParts(
+    date,
+    timeZone
+  );
+  const offset = Math.round(getTimezoneOffset(date, timeZone) / 60000);
+  const sign = offset < 0 ? "-" : "+";
+  const abs = Math.abs(offset);
+  return (
+    `${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}:${pad(second)}` +
+    `${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`
+  );
+};
+
+module.exports = {
+  getZonedParts,
+  getTimezoneOffset,
+  zonedTimeToUtc,
+  formatInTimezone,
+  isValidTimezone,
+};
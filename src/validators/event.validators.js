@@ -0,0 +1,110 @@
+const { body, validationResult } = require("express-validator");
+const { validateTicketTypes } = require("../services/ticket-type.service");
+const { validateRecurrence } = require("../services/series.service");
+const { resolveSchedule } = require("../services/schedule.service");
+const { isValidTimezone } = require("../utils/timezone");
+
+// only reports an end before the start, bad starts are caught by their own rules
+const checkEndsAfterStart = (value, { req }) => {
+  try {
+    resolveSchedule(req.body);
+  } catch (error) {
+    if (error.message === "Event must end after it starts") throw error;
+  }
+  return true;
+};
+
+const createEventValidators = [
+  body("name").notEmpty().withMessage("Event name is required"),
+  body("description").notEmpty().withMessage("Description is required"),
+  body("category").notEmpty().withMessage("Category is required"),
+  // either startsAt, or the older date and time pair
+  body("startsAt")
+    .optional()
+    .isISO8601()
+    .withMessage("Start time must be an ISO 8601 date-time"),
+  body("date")
+    .if(body("startsAt").not().exists())
+    .isDate()
+    .withMessage("Valid date is required"),
+  body("time")
+    .if(body("startsAt").not().exists())
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage("Valid time in HH:mm format is required"),
+  body("endsAt")
+    .optional()
+    .isISO8601()
+    .withMessage("End time must be an ISO 8601 date-time"),
+  body("durationMinutes")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Duration must be at least 1 minute"),
+  body("timezone")
+    .optional()
+    .custom(isValidTimezone)
+    .withMessage("Timezone must be an IANA name such as Europe/Berlin"),
+  body("endsAt").custom(checkEndsAfterStart),
+  body("venue")
+    .if(body("venueId").not().exists())
+    .notEmpty()
+    .withMessage("Venue is required"),
+  body("venueId")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Venue ID must be a number"),
+  body("latitude")
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage("Latitude must be between -90 and 90"),
+  body("longitude")
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage("Longitude must be between -180 and 180"),
+  body("seating")
+    .optional()
+    .isIn(["general", "reserved"])
+    .withMessage("Seating must be general or reserved"),
+  body("seating")
+    .custom((value, { req }) => value !== "reserved" || !!req.body.venueId)
+    .withMessage("Reserved seating needs a venue"),
+  body("price")
+    .if(body("ticketTypes").not().exists())
+    .isNumeric()
+    .withMessage("Valid price is required"),
+  // for future updates to handle more than 1 ticket per user
+  // reserved seating takes its capacity from the seat map
+  body("totalTickets")
+    .if(body("ticketTypes").not().exists())
+    .if(body("seating").not().equals("reserved"))
+    .isInt({ min: 1 })
+    .withMessage("Total tickets must be at least 1"),
+  body("ticketTypes").optional().custom(validateTicketTypes),
+  // drafts by default, see event-lifecycle.service
+  body("status")
+    .optional()
+    .isIn(["draft", "published"])
+    .withMessage("Status must be draft or published"),
+  body("publishAt")
+    .optional()
+    .isISO8601()
+    .withMessage("Publish time must be an ISO 8601 date-time"),
+];
+
+const seriesValidators = [
+  body("recurrence").optional().custom(validateRecurrence),
+];
+
+// runs the create rules against plain data, e.g. one row of an import
+const validateEventData = async (data) => {
+  const req = { body: { ...data } };
+  for (const validator of createEventValidators) {
+    await validator.run(req);
+  }
+  return validationResult(req).array();
+};
+
+module.exports = {
+  createEventValidators,
+  seriesValidators,
+  validateEventData,
+};
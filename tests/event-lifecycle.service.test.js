@@ -0,0 +1,141 @@
+jest.mock("../src/models/event.model", () => ({
+  updateOne: jest.fn(),
+  find: jest.fn(),
+}));
+jest.mock("../src/models/booking.model", () => ({
+  find: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+  aggregate: jest.fn(),
+}));
+jest.mock("../src/models/user.model", () => ({ findById: jest.fn() }));
+jest.mock("../src/models/waitlist-entry.model", () => ({
+  updateMany: jest.fn(),
+}));
+jest.mock("../src/services/inventory.service", () => ({
+  BOOKABLE_STATUSES: ["published", "postponed"],
+  cancelBooking: jest.fn(),
+}));
+jest.mock("../src/services/hold.service", () => ({ releaseHold: jest.fn() }));
+jest.mock("../src/services/payment.service", () => ({
+  refundBooking: jest.fn(),
+}));
+jest.mock("../src/services/event.service", () => ({
+  applyEventUpdate: jest.fn(),
+}));
+jest.mock("../src/services/permission.service", () => ({
+  hasPermission: jest.fn(),
+}));
+jest.mock("../src/services/mailer.service", () => ({ sendMail: jest.fn() }));
+
+const Event = require("../src/models/event.model");
+const Booking = require("../src/models/booking.model");
+const User = require("../src/models/user.model");
+const { cancelBooking } = require("../src/services/inventory.service");
+const { refundBooking } = require("../src/services/payment.service");
+const { sendMail } = require("../src/services/mailer.service");
+const { cancelEvent } = require("../src/services/event-lifecycle.service");
+
+const selecting = (value) => ({ select: () => Promise.resolve(value) });
+
+// the cascade runs after cancelEvent returns, so wait for it to record its end
+const finished = async () => {
+  for (let i = 0; i < 100; i += 1) {
+    const done = Event.updateOne.mock.calls.find(
+      ([, update]) => update["cancellation.status"] !== "running"
+    );
+    if (done) return done[1];
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+  throw new Error("Cancellation never finished");
+};
+
+describe("cancelEvent", () => {
+  const bookings = {
+    a: { _id: "a", user: "ann", payment: { status: "refunded" } },
+    b: { _id: "b", user: "bob", payment: { status: "refund_failed" } },
+    c: { _id: "c", user: "cat", payment: { status: "not_required" } },
+  };
+  const ids = Object.keys(bookings).map((_id) => ({ _id }));
+
+  beforeEach(() => {
+    Booking.find.mockImplementation((filter) =>
+      selecting(filter.status === "pending" ? [] : ids)
+    );
+    Booking.findOneAndUpdate.mockResolvedValue({});
+    Booking.aggregate.mockResolvedValue([
+      { _id: "refunded", count: 1 },
+      { _id: "refund_failed", count: 1 },
+      { _id: "not_required", count: 1 },
+    ]);
+    cancelBooking.mockImplementation(({ _id }) => Promise.resolve({ _id }));
+    refundBooking.mockImplementation(({ _id }) =>
+      Promise.resolve(bookings[_id])
+    );
+    User.findById.mockImplementation((name) =>
+      selecting({ name, email: `${name}@example.com` })
+    );
+  });
+
+  afterEach(() => jest.clearAllMocks());
+
+  const publishedEvent = () => ({
+    _id: "event",
+    id: 7,
+    name: "Gig",
+    status: "published",
+    deletedAt: null,
+    save: jest.fn().mockResolvedValue(),
+  });
+
+  it("answers before the bookings are cancelled", async () => {
+    const event = publishedEvent();
+
+    const { event: cancelled } = await cancelEvent(event, { reason: "Rain" });
+
+    expect(cancelled.status).toBe("cancelled");
+    expect(cancelled.cancellation.status).toBe("pending");
+    expect(cancelBooking).not.toHaveBeenCalled();
+    await finished();
+  });
+
+  it("only tells holders about refunds that went through", async () => {
+    await cancelEvent(publishedEvent());
+    const result = await finished();
+
+    const mails = Object.fromEntries(
+      sendMail.mock.calls.map(([mail]) => [mail.to, mail.text])
+    );
+    expect(mails["ann@example.com"]).toContain("has been refunded");
+    expect(mails["bob@example.com"]).toContain("We'll keep trying");
+    expect(mails["cat@example.com"]).not.toMatch(/refund/);
+    expect(result).toMatchObject({
+      "cancellation.status": "completed",
+      "cancellation.bookingsCancelled": 3,
+      "cancellation.notified": 3,
+      "cancellation.refunded": 1,
+      "cancellation.refundsPending": 1,
+    });
+  });
+
+  it("flags bookings in the update that cancels them", async () => {
+    await cancelEvent(publishedEvent());
+    await finished();
+
+    expect(cancelBooking).toHaveBeenCalledWith(
+      { _id: "a" },
+      { eventCancelledAt: expect.any(Date) }
+    );
+  });
+
+  it("refuses to start again while a cancellation is running", async () => {
+    const event = {
+      ...publishedEvent(),
+      status: "cancelled",
+      cancellation: { status: "running" },
+    };
+
+    await expect(cancelEvent(event)).rejects.toMatchObject({ status: 409 });
+    expect(event.save).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,35 @@
+const Event = require("../src/models/event.model");
+const { applyEventUpdate } = require("../src/services/event.service");
+
+describe("applyEventUpdate", () => {
+  const soldEvent = () =>
+    new Event({
+      name: "Gig",
+      currency: "USD",
+      price: 20,
+      totalTickets: 100,
+      availableTickets: 60,
+      status: "cancelled",
+      cancellation: { status: "completed" },
+    });
+
+  it("leaves the cancellation progress alone", () => {
+    const event = soldEvent();
+
+    applyEventUpdate(event, {
+      cancellation: { status: "running" },
+      "cancellation.status": "running",
+    });
+
+    expect(event.cancellation.status).toBe("completed");
+  });
+
+  it("keeps the currency tickets were sold in", () => {
+    const event = soldEvent();
+
+    applyEventUpdate(event, { currency: "EUR", name: "Renamed" });
+
+    expect(event.currency).toBe("USD");
+    expect(event.name).toBe("Renamed");
+  });
+});
@@ -0,0 +1,271 @@
+jest.mock("../src/models/event.model", () => ({
+  findOneAndUpdate: jest.fn(),
+}));
+
+const Event = require("../src/models/event.model");
+const {
+  reserveTickets,
+  releaseTickets,
+  resizeInventory,
+} = require("../src/services/inventory.service");
+
+// These tests run reserveTickets and friends against a hand-written stand-in
+// for Event.findOneAndUpdate, since no MongoDB server runs under npm test.
+// They show that every sale is one conditional update and that the service
+// takes nothing when that update matches nothing. They don't cover MongoDB
+// itself: how it matches $elemMatch and arrayFilters, or that it applies one
+// update per document at a time. The "sends" tests below check the query
+// documents themselves, which is what MongoDB would be given.
+
+// the subset of MongoDB query operators the inventory updates use
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([key, condition]) => {
+    if (key === "$and") return condition.every((part) => matches(doc, part));
+    if (key === "$expr") {
+      const [sum, limit] = condition.$lte;
+      const [field, amount] = sum.$add;
+      return doc[field.slice(1)] + amount <= doc[limit.slice(1)];
+    }
+
+    const value = doc[key];
+    if (condition === null) return value == null;
+    if (typeof condition !== "object") {
+      return String(value) === String(condition);
+    }
+    if (condition.$in) return condition.$in.includes(value);
+    if (condition.$gte !== undefined) return value >= condition.$gte;
+    if (condition.$elemMatch) {
+      return value.some((item) => matches(item, condition.$elemMatch));
+    }
+    return false;
+  });
+
+// applies $set to seats picked by their arrayFilter, e.g. marking them taken
+const applySeatSet = (doc, set = {}, arrayFilters = []) => {
+  if (!("seats.$[seat].taken" in set)) return;
+  const { $in: codes } = arrayFilters.find((f) => "seat.code" in f)[
+    "seat.code"
+  ];
+  doc.seats
+    .filter((seat) => codes.includes(seat.code))
+    .forEach((seat) => {
+      seat.taken = set["seats.$[seat].taken"];
+    });
+};
+
+// applies $inc the way findOneAndUpdate does, including positional tiers
+const applyInc = (doc, inc, arrayFilters = []) => {
+  Object.entries(inc).forEach(([path, amount]) => {
+    const tier = path.match(/^ticketTypes\.\$\[(\w+)\]\.(\w+)$/);
+    if (!tier) {
+      doc[path] += amount;
+      return;
+    }
+    const filter = arrayFilters.find((f) => `${tier[1]}._id` in f);
+    doc.ticketTypes
+      .filter((t) => String(t._id) === String(filter[`${tier[1]}._id`]))
+      .forEach((t) => {
+        t[tier[2]] += amount;
+      });
+  });
+};
+
+// a single document store where each update is matched and applied in one
+// step, like MongoDB's document-level atomicity, but only after every caller
+// has had a chance to send theirs
+const fakeEvents = (doc) => {
+  Event.findOneAndUpdate.mockImplementation(
+    (filter, update, options) =>
+      new Promise((resolve) => {
+        setImmediate(() => {
+          if (!matches(doc, filter)) return resolve(null);
+          applyInc(doc, update.$inc, options.arrayFilters);
+          applySeatSet(doc, update.$set, options.arrayFilters);
+          resolve({ ...doc });
+        });
+      })
+  );
+  return doc;
+};
+
+describe("reserveTickets against the stand-in", () => {
+  afterEach(() => jest.clearAllMocks());
+
+  it("never sells the last ticket to two parallel buyers", async () => {
+    const event = fakeEvents({
+      id: 1,
+      status: "published",
+      deletedAt: null,
+      totalTickets: 10,
+      availableTickets: 1,
+      ticketTypes: [],
+    });
+
+    const results = await Promise.all([
+      reserveTickets(1, 1),
+      reserveTickets(1, 1),
+    ]);
+
+    expect(results.filter(Boolean)).toHaveLength(1);
+    expect(event.availableTickets).toBe(0);
+  });
+
+  it("never sells the last ticket of a tier twice", async () => {
+    const event = fakeEvents({
+      id: 1,
+      status: "published",
+      deletedAt: null,
+      totalTickets: 10,
+      availableTickets: 5,
+      ticketTypes: [
+        { _id: "vip", available: 1 },
+        { _id: "general", available: 4 },
+      ],
+    });
+    const items = [{ ticketType: "vip", quantity: 1 }];
+
+    const results = await Promise.all(
+      Array.from({ length: 5 }, () => reserveTickets(1, 1, items))
+    );
+
+    expect(results.filter(Boolean)).toHaveLength(1);
+    expect(event.ticketTypes[0].available).toBe(0);
+    expect(event.availableTickets).toBe(4);
+  });
+
+  it("sells nothing for an event that is not on sale", async () => {
+    fakeEvents({
+      id: 1,
+      status: "draft",
+      deletedAt: null,
+      totalTickets: 10,
+      availableTickets: 10,
+      ticketTypes: [],
+    });
+
+    await expect(reserveTickets(1, 1)).resolves.toBeNull();
+  });
+});
+
+describe("reserveTickets with reserved seats", () => {
+  afterEach(() => jest.clearAllMocks());
+
+  const seatedEvent = () =>
+    fakeEvents({
+      id: 1,
+      status: "published",
+      deletedAt: null,
+      totalTickets: 4,
+      availableTickets: 4,
+      ticketTypes: [],
+      seats: [
+        { code: "Stalls-A-1", taken: false },
+        { code: "Stalls-A-2", taken: false },
+        { code: "Stalls-A-3", taken: false },
+        { code: "Stalls-A-4", taken: false },
+      ],
+    });
+
+  it("sends a free-seat condition for every seat in the taking update", async () => {
+    seatedEvent();
+
+    await reserveTickets(1, 2, [], ["Stalls-A-1", "Stalls-A-2"]);
+
+    expect(Event.findOneAndUpdate).toHaveBeenCalledTimes(1);
+    const [filter, update, options] = Event.findOneAndUpdate.mock.calls[0];
+    expect(filter.$and).toEqual([
+      { seats: { $elemMatch: { code: "Stalls-A-1", taken: false } } },
+      { seats: { $elemMatch: { code: "Stalls-A-2", taken: false } } },
+    ]);
+    expect(update.$set).toEqual({ "seats.$[seat].taken": true });
+    expect(options.arrayFilters).toEqual([
+      { "seat.code": { $in: ["Stalls-A-1", "Stalls-A-2"] } },
+    ]);
+  });
+
+  it("never gives one seat to two parallel buyers", async () => {
+    const event = seatedEvent();
+
+    const results = await Promise.all([
+      reserveTickets(1, 2, [], ["Stalls-A-1", "Stalls-A-2"]),
+      reserveTickets(1, 2, [], ["Stalls-A-2", "Stalls-A-3"]),
+    ]);
+
+    expect(results.filter(Boolean)).toHaveLength(1);
+    expect(event.seats.filter((seat) => seat.taken)).toHaveLength(2);
+    // enough tickets were left for both, only the shared seat stops one
+    expect(event.availableTickets).toBe(2);
+  });
+});
+
+describe("releaseTickets", () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it("logs instead of going above the event's total", async () => {
+    const error = jest.spyOn(console, "error").mockImplementation(() => {});
+    const event = fakeEvents({
+      id: 1,
+      totalTickets: 10,
+      availableTickets: 10,
+      ticketTypes: [],
+    });
+
+    await expect(releaseTickets(1, 2)).resolves.toBeNull();
+    expect(event.availableTickets).toBe(10);
+    expect(error).toHaveBeenCalledWith(
+      expect.stringContaining("Releasing 2 tickets of event 1")
+    );
+  });
+});
+
+describe("resizeInventory", () => {
+  afterEach(() => jest.clearAllMocks());
+
+  const tieredEvent = () =>
+    fakeEvents({
+      _id: "event",
+      id: 1,
+      status: "published",
+      deletedAt: null,
+      totalTickets: 10,
+      availableTickets: 6,
+      ticketTypes: [{ _id: "vip", capacity: 10, available: 6 }],
+    });
+  const before = {
+    totalTickets: 10,
+    ticketTypes: [{ _id: "vip", capacity: 10 }],
+  };
+
+  it("keeps tickets sold since the edit was loaded", async () => {
+    const event = tieredEvent();
+    // a booking for 2 lands while the organizer is editing
+    await reserveTickets(1, 2, [{ ticketType: "vip", quantity: 2 }]);
+
+    await resizeInventory(
+      { _id: "event", ticketTypes: [{ _id: "vip", capacity: 12 }] },
+      before
+    );
+
+    expect(event.ticketTypes[0]).toEqual({
+      _id: "vip",
+      capacity: 12,
+      available: 6,
+    });
+    expect(event.totalTickets).toBe(12);
+    expect(event.availableTickets).toBe(6);
+  });
+
+  it("refuses to shrink a tier below what has been sold", async () => {
+    const event = tieredEvent();
+    await reserveTickets(1, 4, [{ ticketType: "vip", quantity: 4 }]);
+
+    await expect(
+      resizeInventory(
+        { _id: "event", ticketTypes: [{ _id: "vip", capacity: 5 }] },
+        before
+      )
+    ).rejects.toMatchObject({ status: 409 });
+    expect(event.ticketTypes[0].capacity).toBe(10);
+    expect(event.availableTickets).toBe(2);
+  });
+});
@@ -0,0 +1,72 @@
+// each test loads its own copy so the transport is picked from its env
+const loadMailer = () => {
+  let mailer;
+  jest.isolateModules(() => {
+    mailer = require("../src/services/mailer.service");
+  });
+  return mailer;
+};
+
+describe("mailer", () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    delete process.env.SMTP_HOST;
+    delete process.env.MAIL_TRANSPORT;
+    delete process.env.MAIL_FROM;
+  });
+  afterEach(() => {
+    process.env = { ...env };
+    jest.restoreAllMocks();
+  });
+
+  it("keeps mail in the memory outbox under tests", async () => {
+    const { getTransport, sendMail } = loadMailer();
+
+    await sendMail({ to: "ada@example.com", subject: "Hi", text: "Hello" });
+
+    expect(getTransport().outbox).toEqual([
+      expect.objectContaining({
+        from: "Eventora <no-reply@eventora.app>",
+        to: "ada@example.com",
+        subject: "Hi",
+        text: "Hello",
+      }),
+    ]);
+  });
+
+  it("prints mail in development", async () => {
+    process.env.NODE_ENV = "development";
+    const log = jest.spyOn(console, "log").mockImplementation(() => {});
+    const { getTransport, sendMail } = loadMailer();
+
+    await sendMail({ to: "ada@example.com", subject: "Hi", text: "Hello" });
+
+    expect(getTransport().outbox).toBeUndefined();
+    expect(log).toHaveBeenCalledWith(
+      expect.stringContaining("Mail to ada@example.com: Hi")
+    );
+  });
+
+  it("refuses to drop mail in production", () => {
+    process.env.NODE_ENV = "production";
+    const { getTransport } = loadMailer();
+
+    expect(() => getTransport()).toThrow("Set SMTP_HOST or MAIL_TRANSPORT");
+  });
+
+  it("refuses to print mail when NODE_ENV isn't set", () => {
+    delete process.env.NODE_ENV;
+    const { getTransport } = loadMailer();
+
+    expect(() => getTransport()).toThrow("Set SMTP_HOST or MAIL_TRANSPORT");
+  });
+
+  it("uses the configured transport in production", () => {
+    process.env.NODE_ENV = "production";
+    process.env.MAIL_TRANSPORT = "memory";
+    const { getTransport } = loadMailer();
+
+    expect(getTransport().outbox).toEqual([]);
+  });
+});
@@ -0,0 +1,46 @@
+const { parsePagination } = require("../src/utils/pagination");
+
+const SORTS = {
+  date: { field: "startsAt", direction: 1 },
+  price: { field: "price", direction: 1 },
+  name: { field: "name", direction: 1 },
+};
+const ID = "64b7f0c2a1b2c3d4e5f60718";
+
+const cursor = (fields) =>
+  Buffer.from(JSON.stringify({ id: ID, ...fields })).toString("base64url");
+const parse = (fields, sort) =>
+  parsePagination({ cursor: cursor(fields), sort }, { sorts: SORTS });
+
+describe("parsePagination cursors", () => {
+  it("accepts the values cursors are made of", () => {
+    expect(parse({ s: "name", v: "Jazz" }, "name").after.value).toBe("Jazz");
+    expect(parse({ s: "price", v: 12.5 }, "price").after.value).toBe(12.5);
+    expect(parse({ s: "price", v: null }, "price").after.value).toBeNull();
+
+    const { after } = parse(
+      { s: "date", v: "2026-05-01T18:00:00.000Z", d: true },
+      "date"
+    );
+    expect(after.value).toEqual(new Date("2026-05-01T18:00:00.000Z"));
+    expect(String(after.id)).toBe(ID);
+  });
+
+  it("rejects values that would become query operators", () => {
+    expect(() => parse({ s: "price", v: { $ne: null } }, "price")).toThrow(
+      "Invalid cursor"
+    );
+    expect(() => parse({ s: "name", v: ["a", "b"] }, "name")).toThrow(
+      "Invalid cursor"
+    );
+    expect(() => parse({ s: "date", v: { $gt: 0 }, d: true }, "date")).toThrow(
+      "Invalid cursor"
+    );
+  });
+
+  it("rejects a cursor made for another sort", () => {
+    expect(() => parse({ s: "price", v: 10 }, "name")).toThrow(
+      "Cursor doesn't match this sort order"
+    );
+  });
+});
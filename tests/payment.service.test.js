@@ -0,0 +1,65 @@
+jest.mock("../src/models/booking.model", () => ({
+  findOneAndUpdate: jest.fn(),
+  findById: jest.fn(),
+}));
+jest.mock("../src/services/inventory.service", () => ({
+  cancelBooking: jest.fn(),
+}));
+jest.mock("../src/services/hold.service", () => ({ releaseHold: jest.fn() }));
+
+const Booking = require("../src/models/booking.model");
+const fake = require("../src/services/providers/fake.provider");
+const {
+  getProvider,
+  refundBooking,
+} = require("../src/services/payment.service");
+
+describe("getProvider", () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it("refuses to fall back to the fake provider in production", () => {
+    process.env.NODE_ENV = "production";
+    delete process.env.PAYMENT_PROVIDER;
+
+    expect(() => getProvider()).toThrow("Set PAYMENT_PROVIDER");
+  });
+
+  it("uses the fake provider under tests", () => {
+    delete process.env.PAYMENT_PROVIDER;
+
+    expect(getProvider().name).toBe("fake");
+  });
+});
+
+describe("refundBooking", () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  const booking = {
+    _id: "b1",
+    id: 1,
+    totalPrice: 25,
+    payment: { status: "refunding", reference: "fake_pi_1" },
+  };
+
+  it("sends the same idempotency key on every attempt", async () => {
+    const refund = jest.spyOn(fake, "refund");
+    Booking.findOneAndUpdate.mockImplementation(() => Promise.resolve(booking));
+
+    await refundBooking(booking);
+    await refundBooking(booking);
+
+    const keys = refund.mock.calls.map(([, , options]) => options);
+    expect(keys).toEqual([
+      { idempotencyKey: "refund-b1" },
+      { idempotencyKey: "refund-b1" },
+    ]);
+    const [first, second] = await Promise.all(
+      refund.mock.results.map((result) => result.value)
+    );
+    expect(second.id).toBe(first.id);
+  });
+});
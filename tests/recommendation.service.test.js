@@ -0,0 +1,99 @@
+const {
+  buildAffinity,
+  eligibleEvents,
+  rankEvents,
+} = require("../src/services/recommendation.service");
+
+const NOW = new Date("2026-06-01T12:00:00Z");
+const LATER = "2026-07-01T19:00:00Z";
+
+const event = (fields) => ({
+  category: "music",
+  tags: [],
+  interestedCount: 0,
+  availableTickets: 50,
+  startsAt: LATER,
+  status: "published",
+  deletedAt: null,
+  ...fields,
+});
+
+const ids = (events) => events.map((e) => e.id);
+
+describe("buildAffinity", () => {
+  it("counts bookings double and scales the top interest to 1", () => {
+    const affinity = buildAffinity({
+      booked: [{ category: "music", tags: ["jazz"] }],
+      favorites: [
+        { category: "comedy", tags: ["jazz"] },
+        { category: "comedy", tags: [] },
+        { category: "sports", tags: [] },
+      ],
+    });
+
+    expect(Object.fromEntries(affinity.categories)).toEqual({
+      music: 1,
+      comedy: 1,
+      sports: 0.5,
+    });
+    expect(Object.fromEntries(affinity.tags)).toEqual({ jazz: 1 });
+  });
+});
+
+describe("eligibleEvents", () => {
+  it("leaves out booked, sold out, past, unpublished and deleted events", () => {
+    const events = [
+      event({ id: 1 }),
+      event({ id: 2 }),
+      event({ id: 3, availableTickets: 0 }),
+      event({ id: 4, startsAt: "2026-05-01T19:00:00Z" }),
+      event({ id: 5, status: "draft" }),
+      event({ id: 6, status: "cancelled" }),
+      event({ id: 7, deletedAt: new Date("2026-05-20") }),
+      event({ id: 8, status: "postponed" }),
+    ];
+
+    expect(ids(eligibleEvents(events, { bookedIds: [2] }, NOW))).toEqual([
+      1, 8,
+    ]);
+  });
+});
+
+describe("rankEvents", () => {
+  const candidates = [
+    event({ id: 1, category: "sports", interestedCount: 90 }),
+    event({ id: 2, category: "music", tags: ["jazz"], interestedCount: 10 }),
+    event({ id: 3, category: "music", interestedCount: 10 }),
+    event({ id: 4, category: "comedy", interestedCount: 10, coFavorites: 5 }),
+    event({ id: 5, category: "music", tags: ["jazz"], availableTickets: 0 }),
+    event({ id: 6, category: "music", tags: ["jazz"], interestedCount: 99 }),
+  ];
+
+  it("ranks a user's interests and their neighbors' favorites first", () => {
+    const ranked = rankEvents(
+      candidates,
+      {
+        bookedIds: [6],
+        booked: [{ category: "music", tags: ["jazz"] }],
+        favorites: [],
+      },
+      NOW
+    );
+
+    expect(ids(ranked)).toEqual([2, 3, 4, 1]);
+    expect(ranked[0].reasons).toEqual(["category", "tags", "popularity"]);
+    expect(ranked[2].reasons).toEqual(["coFavorites", "popularity"]);
+    expect(ranked[0].score).toBeGreaterThan(ranked[1].score);
+  });
+
+  it("falls back to the most popular events for anonymous visitors", () => {
+    const ranked = rankEvents(
+      candidates.map(({ coFavorites, ...rest }) => rest),
+      {},
+      NOW
+    );
+
+    expect(ids(ranked)).toEqual([6, 1, 2, 3, 4]);
+    ranked.forEach((e) => expect(e.reasons).toEqual(["popularity"]));
+  });
+});
@@ -0,0 +1,43 @@
+jest.mock("../src/models/event.model", () => ({ find: jest.fn() }));
+jest.mock("../src/models/event-series.model", () => ({
+  updateOne: jest.fn(),
+}));
+jest.mock("../src/services/event.service", () => ({
+  buildEvent: jest.fn(),
+  applyEventUpdate: jest.fn(),
+  saveEventUpdate: jest.fn(),
+}));
+jest.mock("../src/services/permission.service", () => ({
+  hasPermission: jest.fn().mockResolvedValue(true),
+}));
+
+const Event = require("../src/models/event.model");
+const { saveEventUpdate } = require("../src/services/event.service");
+const { updateFutureOccurrences } = require("../src/services/series.service");
+const httpError = require("../src/utils/http-error");
+
+describe("updateFutureOccurrences", () => {
+  const occurrence = (id) => ({ id, series: 1, availableTickets: 10 });
+
+  it("reports the occurrences that conflict and keeps the rest", async () => {
+    const occurrences = [occurrence(1), occurrence(2), occurrence(3)];
+    Event.find.mockReturnValue({ sort: () => Promise.resolve(occurrences) });
+    saveEventUpdate.mockImplementation((event) =>
+      event.id === 2
+        ? Promise.reject(httpError(409, "Tickets sold meanwhile"))
+        : Promise.resolve({ ...event, availableTickets: 12 })
+    );
+
+    const result = await updateFutureOccurrences(
+      occurrences[0],
+      { totalTickets: 12 },
+      { user: {} }
+    );
+
+    expect(result.events.map((e) => e.id)).toEqual([1, 3]);
+    expect(result.grown).toEqual([1, 3]);
+    expect(result.failed).toEqual([
+      { id: 2, status: 409, message: "Tickets sold meanwhile" },
+    ]);
+  });
+});
@@ -0,0 +1,35 @@
+const { normalizeSeatMap } = require("../src/services/venue.service");
+
+const seatMap = (...rows) => ({ sections: [{ name: "Stalls", rows }] });
+
+describe("normalizeSeatMap", () => {
+  it("numbers a row given as a count from 1", () => {
+    const { sections } = normalizeSeatMap(seatMap({ name: "A", seats: 3 }));
+
+    expect(sections[0].rows[0].seats).toEqual(["1", "2", "3"]);
+  });
+
+  it("refuses a huge seat count before building the row", () => {
+    const from = jest.spyOn(Array, "from");
+
+    expect(() => normalizeSeatMap(seatMap({ name: "A", seats: 1e9 }))).toThrow(
+      /at most/
+    );
+    expect(from).not.toHaveBeenCalled();
+    from.mockRestore();
+  });
+
+  it("counts earlier rows towards the limit", () => {
+    expect(() =>
+      normalizeSeatMap(
+        seatMap({ name: "A", seats: 15000 }, { name: "B", seats: 15000 })
+      )
+    ).toThrow(/at most/);
+  });
+
+  it.each([0, -5, 2.5, "many"])("refuses a seat count of %p", (seats) => {
+    expect(() => normalizeSeatMap(seatMap({ name: "A", seats }))).toThrow(
+      expect.objectContaining({ status: 400 })
+    );
+  });
+});
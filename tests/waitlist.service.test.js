@@ -0,0 +1,82 @@
+jest.mock("../src/models/waitlist-entry.model", () => ({
+  find: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+}));
+jest.mock("../src/models/booking.model", () =>
+  jest.fn().mockImplementation((fields) => ({
+    ...fields,
+    id: 42,
+    save: jest.fn().mockResolvedValue(),
+  }))
+);
+jest.mock("../src/models/event.model", () => ({ findOne: jest.fn() }));
+jest.mock("../src/models/user.model", () => ({ findById: jest.fn() }));
+jest.mock("../src/services/inventory.service", () => ({
+  inventoryEvents: { on: jest.fn() },
+  reserveTickets: jest.fn(),
+  releaseTickets: jest.fn(),
+}));
+jest.mock("../src/services/pricing.service", () => ({
+  buildLineItems: jest.fn(),
+}));
+jest.mock("../src/services/mailer.service", () => ({ sendMail: jest.fn() }));
+
+const WaitlistEntry = require("../src/models/waitlist-entry.model");
+const Event = require("../src/models/event.model");
+const User = require("../src/models/user.model");
+const { reserveTickets } = require("../src/services/inventory.service");
+const { buildLineItems } = require("../src/services/pricing.service");
+const { sendMail } = require("../src/services/mailer.service");
+const { promoteWaitlist } = require("../src/services/waitlist.service");
+
+describe("promoteWaitlist", () => {
+  const event = {
+    id: 7,
+    name: "Gig",
+    timezone: "UTC",
+    availableTickets: 2,
+  };
+  const entry = { _id: "e1", id: 1, user: "u1", quantity: 2 };
+
+  beforeEach(() => {
+    WaitlistEntry.find.mockImplementation((filter) =>
+      filter.status === "offered"
+        ? Promise.resolve([])
+        : { sort: () => Promise.resolve([entry]) }
+    );
+    WaitlistEntry.findOneAndUpdate.mockResolvedValue({
+      ...entry,
+      status: "offered",
+      save: jest.fn().mockResolvedValue(),
+    });
+    Event.findOne.mockResolvedValue(event);
+    buildLineItems.mockReturnValue({ quantity: 2, items: [], totalPrice: 40 });
+    reserveTickets.mockResolvedValue({});
+    User.findById.mockReturnValue({
+      select: () => Promise.resolve({ name: "Ada", email: "ada@example.com" }),
+    });
+  });
+
+  afterEach(() => jest.clearAllMocks());
+
+  it("tells the user about the offer and its deadline", async () => {
+    await expect(promoteWaitlist(7)).resolves.toEqual([1]);
+
+    expect(sendMail).toHaveBeenCalledWith(
+      expect.objectContaining({
+        to: "ada@example.com",
+        subject: "Tickets for Gig are waiting for you",
+        text: expect.stringMatching(/2 are held for you until .+ \(UTC\)/),
+      })
+    );
+  });
+
+  it("keeps the offer when the mail fails", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    sendMail.mockRejectedValue(new Error("SMTP down"));
+
+    await expect(promoteWaitlist(7)).resolves.toEqual([1]);
+    console.error.mockRestore();
+  });
+});